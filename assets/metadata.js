@@ -0,0 +1,134 @@
+// metadata.js - Read fungible asset and coin metadata from chain
+import dotenv from 'dotenv';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+
+dotenv.config();
+
+const FA_METADATA_RESOURCE = '0x1::fungible_asset::Metadata';
+
+/**
+ * Metadata of a fungible asset from the `0x1::fungible_asset::Metadata` resource at its address.
+ */
+export async function fetchFungibleAssetMetadata(aptos, metadataAddress) {
+    const address = AccountAddress.from(metadataAddress).toString();
+    const metadata = await aptos.getAccountResource({
+        accountAddress: address,
+        resourceType: FA_METADATA_RESOURCE,
+    });
+
+    return {
+        assetType: address,
+        metadataAddress: address,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        decimals: Number(metadata.decimals),
+        iconUri: metadata.icon_uri || null,
+        projectUri: metadata.project_uri || null,
+        tokenStandard: 'v2',
+    };
+}
+
+/**
+ * Metadata of a legacy coin from `0x1::coin::CoinInfo<T>` at the coin's publishing address.
+ */
+export async function fetchCoinMetadata(aptos, coinType) {
+    const info = await aptos.getAccountResource({
+        accountAddress: coinType.split('::')[0],
+        resourceType: `0x1::coin::CoinInfo<${coinType}>`,
+    });
+
+    return {
+        assetType: coinType,
+        metadataAddress: null,
+        name: info.name,
+        symbol: info.symbol,
+        decimals: Number(info.decimals),
+        iconUri: null,
+        projectUri: null,
+        tokenStandard: 'v1',
+    };
+}
+
+// Metadata cache per network; supply moves, so entries expire
+const METADATA_TTL_MS = Number(process.env.ASSET_METADATA_TTL_MS || 10 * 60 * 1000);
+const metadataCache = new Map();
+
+// Helper: Option<u128> view result as a string, or null when unset
+const optionalViewValue = async (aptos, func, metadataAddress) => {
+    try {
+        const [option] = await aptos.view({
+            payload: {
+                function: func,
+                typeArguments: ['0x1::fungible_asset::Metadata'],
+                functionArguments: [metadataAddress],
+            },
+        });
+        return option?.vec?.[0]?.toString() ?? null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Resolve FA metadata (name, symbol, decimals, icon, project URI, supply, max supply), cached per network.
+ */
+export async function getAssetMetadata(aptos, { networkKey, metadataAddress }) {
+    const address = AccountAddress.from(metadataAddress).toString();
+    const cacheKey = `${networkKey}:${address}`;
+    const cached = metadataCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const [metadata, supply, maxSupply] = await Promise.all([
+        fetchFungibleAssetMetadata(aptos, address),
+        optionalViewValue(aptos, '0x1::fungible_asset::supply', address),
+        optionalViewValue(aptos, '0x1::fungible_asset::maximum', address),
+    ]);
+
+    const value = { ...metadata, supply, maxSupply };
+    metadataCache.set(cacheKey, { value, expiresAt: Date.now() + METADATA_TTL_MS });
+    return value;
+}
+
+/**
+ * Format an integer amount in the smallest unit as a decimal string, e.g. ("123450000", 8) -> "1.2345".
+ */
+export function formatAmount(amount, decimals) {
+    const value = BigInt(amount);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = decimals > 0 ? digits.slice(-decimals).replace(/0+$/, '') : '';
+
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Native MOVE coin; its paired FA is 0xa
+const MOVE_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+
+/**
+ * Metadata for either a coin type (`0x..::module::Struct`) or an FA metadata address, cached per network.
+ * Coins paired with an FA resolve to the FA metadata.
+ */
+export async function resolveAssetMetadata(aptos, { networkKey, asset }) {
+    if (asset === MOVE_COIN_TYPE) {
+        return getAssetMetadata(aptos, { networkKey, metadataAddress: '0xa' });
+    }
+
+    if (!asset.includes('::')) {
+        return getAssetMetadata(aptos, { networkKey, metadataAddress: asset });
+    }
+
+    const cacheKey = `${networkKey}:${asset}`;
+    const cached = metadataCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const value = await fetchCoinMetadata(aptos, asset);
+    metadataCache.set(cacheKey, { value, expiresAt: Date.now() + METADATA_TTL_MS });
+    return value;
+}
@@ -0,0 +1,164 @@
+// owned-assets.js - Discover the fungible assets an account holds
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { fetchCoinMetadata, getAssetMetadata } from './metadata.js';
+
+// Native MOVE as a fungible asset
+export const NATIVE_FA_METADATA = '0xa';
+
+const COIN_STORE_PATTERN = /^0x1::coin::CoinStore<(.+)>$/;
+
+const OWNED_ASSETS_QUERY = `
+    query OwnedFungibleAssets($owner: String, $offset: Int, $limit: Int) {
+        current_fungible_asset_balances(
+            where: { owner_address: { _eq: $owner }, is_primary: { _eq: true }, amount: { _gt: "0" } }
+            offset: $offset
+            limit: $limit
+            order_by: { amount: desc }
+        ) {
+            asset_type
+            amount
+            token_standard
+            metadata {
+                name
+                symbol
+                decimals
+                icon_uri
+                project_uri
+            }
+        }
+    }
+`;
+
+const INDEXER_PAGE_SIZE = 100;
+
+/**
+ * Primary store balances from the indexer GraphQL API (covers every asset the account holds).
+ */
+export async function fetchOwnedAssetsFromIndexer(aptos, owner) {
+    const assets = [];
+
+    for (let offset = 0; ; offset += INDEXER_PAGE_SIZE) {
+        const { current_fungible_asset_balances: rows } = await aptos.queryIndexer({
+            query: {
+                query: OWNED_ASSETS_QUERY,
+                variables: { owner: AccountAddress.from(owner).toStringLong(), offset, limit: INDEXER_PAGE_SIZE },
+            },
+        });
+
+        for (const row of rows) {
+            const isFa = row.token_standard === 'v2';
+            assets.push({
+                assetType: row.asset_type,
+                metadataAddress: isFa ? row.asset_type : null,
+                name: row.metadata?.name ?? null,
+                symbol: row.metadata?.symbol ?? null,
+                decimals: row.metadata ? Number(row.metadata.decimals) : null,
+                iconUri: row.metadata?.icon_uri || null,
+                projectUri: row.metadata?.project_uri || null,
+                tokenStandard: row.token_standard,
+                balance: String(row.amount),
+            });
+        }
+
+        if (rows.length < INDEXER_PAGE_SIZE) {
+            return assets;
+        }
+    }
+}
+
+// Helper: Single value from a view function
+const viewValue = async (aptos, payload) => {
+    const [value] = await aptos.view({ payload });
+    return value;
+};
+
+// Helper: Paired FA metadata address of a coin type, or null (Option<Object<Metadata>>)
+const pairedMetadataOf = async (aptos, coinType) => {
+    try {
+        const option = await viewValue(aptos, {
+            function: '0x1::coin::paired_metadata',
+            typeArguments: [coinType],
+            functionArguments: [],
+        });
+        return option?.vec?.[0]?.inner || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Without an indexer: check the primary store of every candidate asset -
+ * native MOVE, FAs paired with the account's CoinStores, and any `candidates` passed in
+ * (configured known assets, assets seen in sendmove transfers).
+ */
+export async function scanOwnedAssets(aptos, owner, { networkKey, candidates = [] } = {}) {
+    const accountAddress = AccountAddress.from(owner);
+
+    let resources = [];
+    try {
+        resources = await aptos.getAccountResources({ accountAddress });
+    } catch (error) {
+        // Accounts that only ever received FAs may not exist as accounts yet
+        if (error.status !== 404) {
+            throw error;
+        }
+    }
+
+    const coinTypes = resources
+        .map((resource) => resource.type.match(COIN_STORE_PATTERN)?.[1])
+        .filter(Boolean);
+
+    const pairedByCoin = new Map(await Promise.all(
+        coinTypes.map(async (coinType) => [coinType, await pairedMetadataOf(aptos, coinType)])
+    ));
+
+    const faCandidates = new Set(
+        [NATIVE_FA_METADATA, ...pairedByCoin.values(), ...candidates]
+            .filter(Boolean)
+            .map((address) => AccountAddress.from(address).toString())
+    );
+
+    const faAssets = await Promise.all([...faCandidates].map(async (metadataAddress) => {
+        try {
+            const balance = await viewValue(aptos, {
+                function: '0x1::primary_fungible_store::balance',
+                typeArguments: ['0x1::fungible_asset::Metadata'],
+                functionArguments: [accountAddress.toString(), metadataAddress],
+            });
+            if (BigInt(balance) === 0n) {
+                return null;
+            }
+            return { ...await getAssetMetadata(aptos, { networkKey, metadataAddress }), balance: String(balance) };
+        } catch (error) {
+            console.warn(`Skipping asset ${metadataAddress}:`, error.message);
+            return null;
+        }
+    }));
+
+    // Coins that have no FA pair yet keep their balance in the CoinStore
+    const coinAssets = await Promise.all(coinTypes
+        .filter((coinType) => !pairedByCoin.get(coinType))
+        .map(async (coinType) => {
+            try {
+                const balance = await viewValue(aptos, {
+                    function: '0x1::coin::balance',
+                    typeArguments: [coinType],
+                    functionArguments: [accountAddress.toString()],
+                });
+                if (BigInt(balance) === 0n) {
+                    return null;
+                }
+                return { ...await fetchCoinMetadata(aptos, coinType), balance: String(balance) };
+            } catch (error) {
+                console.warn(`Skipping coin ${coinType}:`, error.message);
+                return null;
+            }
+        }));
+
+    return [...faAssets, ...coinAssets]
+        .filter(Boolean)
+        .sort((a, b) => {
+            const diff = BigInt(b.balance) - BigInt(a.balance);
+            return diff === 0n ? 0 : (diff > 0n ? 1 : -1);
+        });
+}
@@ -0,0 +1,179 @@
+// clients.js - Resolve API keys and Privy access tokens to clients with scopes
+import fs from 'fs';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Route groups a client can be granted; '*' grants all of them
+export const SCOPES = ['read', 'transactions', 'transfers', 'faucet', 'webhooks', 'admin', 'cron'];
+
+const PRIVY_ISSUER = 'privy.io';
+const PRIVY_DEFAULT_SCOPES = ['read', 'transactions', 'transfers'];
+const CLOCK_SKEW_SECS = 30;
+
+// Helper: Keys are only kept as SHA-256 hashes
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Helper: "1000/60" -> { max: 1000, windowSecs: 60 }
+const parseQuota = (value) => {
+    if (!value) return null;
+    const [max, windowSecs] = String(value).split('/').map(Number);
+    if (!Number.isInteger(max) || !Number.isInteger(windowSecs) || max < 1 || windowSecs < 1) {
+        throw new Error(`invalid quota "${value}", expected <max>/<windowSecs>`);
+    }
+    return { max, windowSecs };
+};
+
+/**
+ * API clients from API_KEYS_FILE (or API_KEYS as inline JSON):
+ * `[{ "id", "key" | "keyHash", "scopes": ["read", ...], "quota": "600/60" }]`.
+ */
+const loadApiClients = () => {
+    const source = process.env.API_KEYS_FILE
+        ? fs.readFileSync(process.env.API_KEYS_FILE, 'utf8')
+        : process.env.API_KEYS || '[]';
+
+    const clients = new Map();
+    for (const entry of JSON.parse(source)) {
+        if (!entry.id || !(entry.key || entry.keyHash)) {
+            throw new Error('every API client needs an id and a key or keyHash');
+        }
+        const unknown = (entry.scopes || []).filter((scope) => scope !== '*' && !SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            throw new Error(`client ${entry.id} has unknown scopes: ${unknown.join(', ')}`);
+        }
+
+        clients.set(entry.keyHash || hashApiKey(entry.key), {
+            id: entry.id,
+            type: 'api_key',
+            scopes: entry.scopes || ['read'],
+            quota: parseQuota(entry.quota),
+        });
+    }
+
+    return clients;
+};
+
+// Privy verification keys: PRIVY_JWKS_FILE (JWKS JSON) or PRIVY_VERIFICATION_KEY (PEM from the dashboard)
+const loadPrivyKeys = () => {
+    if (process.env.PRIVY_JWKS_FILE) {
+        const { keys = [] } = JSON.parse(fs.readFileSync(process.env.PRIVY_JWKS_FILE, 'utf8'));
+        return keys.map((jwk) => ({ kid: jwk.kid || null, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+    }
+    if (process.env.PRIVY_VERIFICATION_KEY) {
+        return [{ kid: null, key: crypto.createPublicKey(process.env.PRIVY_VERIFICATION_KEY.replace(/\\n/g, '\n')) }];
+    }
+    return [];
+};
+
+// ADMIN_API_KEY is the `admin` client with every scope. It is kept apart from the other clients:
+// setting it alone protects /admin/* without turning on authentication for the rest of the API.
+const ADMIN_CLIENT = { id: 'admin', type: 'api_key', scopes: ['*'], quota: null };
+
+// CRON_SECRET is the `cron` client, sent by schedulers (e.g. Vercel Cron) as `Authorization: Bearer <secret>`;
+// it can only run the scheduled tasks under /cron/*
+const CRON_CLIENT = { id: 'cron', type: 'cron', scopes: ['cron'], quota: null };
+
+let registry = null;
+
+export function getClientRegistry() {
+    if (!registry) {
+        const privyKeys = loadPrivyKeys();
+        registry = {
+            apiClients: loadApiClients(),
+            adminKeyHash: process.env.ADMIN_API_KEY ? hashApiKey(process.env.ADMIN_API_KEY) : null,
+            cronSecretHash: process.env.CRON_SECRET ? hashApiKey(process.env.CRON_SECRET) : null,
+            privyKeys,
+            privyAppId: process.env.PRIVY_APP_ID || null,
+            privyScopes: (process.env.PRIVY_SCOPES || PRIVY_DEFAULT_SCOPES.join(',')).split(',').map((s) => s.trim()).filter(Boolean),
+        };
+
+        if (privyKeys.length > 0 && !registry.privyAppId) {
+            throw new Error('PRIVY_APP_ID is required to verify Privy access tokens');
+        }
+    }
+    return registry;
+}
+
+// Whether any client credential source is configured (otherwise authentication is off); the admin key doesn't count
+export function isAuthConfigured() {
+    const { apiClients, privyKeys } = getClientRegistry();
+    return apiClients.size > 0 || privyKeys.length > 0;
+}
+
+export function isAdminConfigured() {
+    return Boolean(getClientRegistry().adminKeyHash);
+}
+
+export function isCronConfigured() {
+    return Boolean(getClientRegistry().cronSecretHash);
+}
+
+// The cron client for a bearer token equal to CRON_SECRET, else null
+export function findCronClient(token) {
+    const { cronSecretHash } = getClientRegistry();
+    if (!cronSecretHash) return null;
+    return crypto.timingSafeEqual(Buffer.from(cronSecretHash), Buffer.from(hashApiKey(token))) ? CRON_CLIENT : null;
+}
+
+export function findApiClient(key) {
+    const { apiClients, adminKeyHash } = getClientRegistry();
+    const hash = hashApiKey(key);
+    if (adminKeyHash && hash === adminKeyHash) {
+        return ADMIN_CLIENT;
+    }
+    return apiClients.get(hash) || null;
+}
+
+// Helper: base64url JSON segment
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Verify a Privy access token (ES256 JWT) and return its client, or throw with the reason.
+ */
+export function verifyPrivyToken(token) {
+    const { privyKeys, privyAppId, privyScopes } = getClientRegistry();
+    if (privyKeys.length === 0) {
+        throw new Error('Privy tokens are not accepted');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    const header = decodeSegment(parts[0]);
+    if (header.alg !== 'ES256') {
+        throw new Error('Unsupported token algorithm');
+    }
+
+    const candidates = privyKeys.filter((entry) => !header.kid || !entry.kid || entry.kid === header.kid);
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    const valid = candidates.some(({ key }) =>
+        crypto.verify('sha256', signed, { key, dsaEncoding: 'ieee-p1363' }, signature)
+    );
+    if (!valid) {
+        throw new Error('Invalid token signature');
+    }
+
+    const claims = decodeSegment(parts[1]);
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== PRIVY_ISSUER || !audiences.includes(privyAppId)) {
+        throw new Error('Token was not issued for this app');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECS < now) {
+        throw new Error('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECS > now) {
+        throw new Error('Token not valid yet');
+    }
+    if (!claims.sub) {
+        throw new Error('Token has no subject');
+    }
+
+    return { id: `privy:${claims.sub}`, type: 'privy', scopes: privyScopes, quota: null };
+}
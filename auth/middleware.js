@@ -0,0 +1,145 @@
+// middleware.js - Client authentication, scope checks, per-client usage tracking and the CORS allowlist
+import dotenv from 'dotenv';
+import { getIndexStore } from '../indexer/store.js';
+import { isAuthConfigured, isAdminConfigured, isCronConfigured, findApiClient, findCronClient, verifyPrivyToken } from './clients.js';
+import { sendError } from '../validation/errors.js';
+
+dotenv.config();
+
+// Health checks stay open
+const PUBLIC_PATHS = ['/', '/test'];
+
+let usageReady = false;
+
+const getUsageDb = () => {
+    const db = getIndexStore();
+    if (!usageReady) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS client_usage (
+                client_id TEXT NOT NULL,
+                day TEXT NOT NULL,
+                requests INTEGER NOT NULL DEFAULT 0,
+                errors INTEGER NOT NULL DEFAULT 0,
+                last_seen INTEGER NOT NULL,
+                PRIMARY KEY (client_id, day)
+            );
+        `);
+        usageReady = true;
+    }
+    return db;
+};
+
+// Helper: Count a finished request against its client for the current UTC day
+const recordUsage = (clientId, statusCode) => {
+    try {
+        getUsageDb().prepare(`
+            INSERT INTO client_usage (client_id, day, requests, errors, last_seen) VALUES (?, ?, 1, ?, ?)
+            ON CONFLICT (client_id, day) DO UPDATE SET
+                requests = requests + 1,
+                errors = errors + excluded.errors,
+                last_seen = excluded.last_seen
+        `).run(clientId, new Date().toISOString().slice(0, 10), statusCode >= 400 ? 1 : 0, Date.now());
+    } catch (error) {
+        console.error('[Auth] usage tracking failed:', error.message);
+    }
+};
+
+/**
+ * Usage per client and UTC day, newest first.
+ */
+export function listClientUsage({ clientId, days = 7 } = {}) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rows = clientId
+        ? getUsageDb().prepare('SELECT * FROM client_usage WHERE client_id = ? AND day >= ? ORDER BY day DESC').all(clientId, since)
+        : getUsageDb().prepare('SELECT * FROM client_usage WHERE day >= ? ORDER BY day DESC, requests DESC').all(since);
+
+    return rows.map((row) => ({
+        clientId: row.client_id,
+        day: row.day,
+        requests: row.requests,
+        errors: row.errors,
+        lastSeen: row.last_seen,
+    }));
+}
+
+// Helper: Client from x-api-key (x-admin-key still works for the admin key), or a bearer token: CRON_SECRET or a Privy token
+const identifyClient = (req) => {
+    const apiKey = req.get('x-api-key') || req.get('x-admin-key');
+    if (apiKey) {
+        const client = findApiClient(apiKey);
+        if (!client) throw new Error('Invalid API key');
+        return client;
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+        return findCronClient(token) || verifyPrivyToken(token);
+    }
+
+    return null;
+};
+
+/**
+ * Attach `req.apiClient` and require one on every non-public route. When no API keys or Privy
+ * keys are configured, requests pass through unauthenticated (local development).
+ */
+export function authenticate(req, res, next) {
+    let client;
+    try {
+        client = identifyClient(req);
+    } catch (error) {
+        return sendError(res, 401, 'UNAUTHORIZED', 'Unauthorized', { details: error.message });
+    }
+
+    if (client) {
+        req.apiClient = client;
+        res.on('finish', () => recordUsage(client.id, res.statusCode));
+        return next();
+    }
+
+    if (PUBLIC_PATHS.includes(req.path) || !isAuthConfigured()) {
+        return next();
+    }
+
+    sendError(res, 401, 'UNAUTHORIZED', 'Unauthorized', {
+        details: 'Send an API key in x-api-key or a Privy access token as a Bearer token',
+    });
+}
+
+/**
+ * Require a scope for a route group. Admin and cron routes always need a client with that scope
+ * (or an admin key), even when authentication is otherwise off.
+ */
+export function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiClient) {
+            if (isAuthConfigured()) return sendError(res, 401, 'UNAUTHORIZED', 'Unauthorized');
+            if (scope === 'admin' || scope === 'cron') {
+                if (isAdminConfigured() || (scope === 'cron' && isCronConfigured())) return sendError(res, 401, 'UNAUTHORIZED', 'Unauthorized');
+                return sendError(res, 503, 'ADMIN_DISABLED', `${scope === 'cron' ? 'Scheduled task' : 'Admin'} endpoints are disabled`);
+            }
+            return next();
+        }
+
+        if (!req.apiClient.scopes.includes('*') && !req.apiClient.scopes.includes(scope)) {
+            return sendError(res, 403, 'FORBIDDEN', 'Forbidden', { details: `Client ${req.apiClient.id} lacks the "${scope}" scope` });
+        }
+        next();
+    };
+}
+
+/**
+ * Options for `cors()`: CORS_ORIGINS is a comma-separated allowlist (`*` allows every origin).
+ * Requests without an Origin header (native apps, servers) are unaffected.
+ */
+export function corsOptions() {
+    const allowed = (process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+    return {
+        origin: (origin, callback) => {
+            callback(null, !origin || allowed.includes('*') || allowed.includes(origin));
+        },
+        allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'X-Wallet-Session', 'Cache-Control', 'If-None-Match'],
+        exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'ETag', 'X-Cache'],
+    };
+}
@@ -0,0 +1,314 @@
+// wallet-sessions.js - Sign-in with a wallet: signMessage challenges, signature checks and session tokens
+//
+// 1. POST /auth/challenge issues a single-use nonce and the message to sign for an address.
+// 2. The app passes both to the wallet-standard signMessage ({ message, nonce, address: true,
+//    application: true, chainId: true }); the wallet signs its `fullMessage`:
+//        APTOS
+//        address: 0x...
+//        application: https://app.example
+//        chainId: 126
+//        message: <message>
+//        nonce: <nonce>
+// 3. POST /auth/verify checks the fullMessage against the challenge, the signature against the public
+//    key and the public key against the account's on-chain authentication key, then returns a session
+//    token (HS256 JWT) that routes can require via the X-Wallet-Session header. Routes compare the
+//    session's address with the account they act on themselves (see sessionOwnsAddress).
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { AccountAddress, AccountAuthenticatorEd25519, AccountAuthenticatorSingleKey } from '@aptos-labs/ts-sdk';
+import { getIndexStore } from '../indexer/store.js';
+import { parseAuthenticator } from '../transactions/authenticators.js';
+import { errorBody, sendError } from '../validation/errors.js';
+
+dotenv.config();
+
+const CHALLENGE_TTL_SECS = Number(process.env.WALLET_CHALLENGE_TTL_SECS || 5 * 60);
+const SESSION_TTL_SECS = Number(process.env.WALLET_SESSION_TTL_SECS || 60 * 60);
+const APP_NAME = process.env.WALLET_AUTH_APP_NAME || 'Column';
+const CLOCK_SKEW_SECS = 30;
+
+// Origins the wallet may report as `application`; empty accepts any (e.g. native apps)
+const ALLOWED_APPLICATIONS = (process.env.WALLET_AUTH_APPLICATIONS || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+const SESSION_HEADER = 'x-wallet-session';
+
+let sessionSecret = process.env.WALLET_SESSION_SECRET || null;
+
+// Without a configured secret, tokens only verify on the instance that issued them. That's fine for
+// development and tests; in production every cold start and every other instance would sign users out.
+const SECRET_REQUIRED = process.env.NODE_ENV === 'production' || Boolean(process.env.VERCEL);
+
+const getSessionSecret = () => {
+    if (!sessionSecret) {
+        if (SECRET_REQUIRED) {
+            throw new Error('WALLET_SESSION_SECRET must be set in production');
+        }
+        console.warn('[WalletAuth] WALLET_SESSION_SECRET is not set, using a per-process secret');
+        sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return sessionSecret;
+};
+
+let ready = false;
+
+const getDb = () => {
+    const db = getIndexStore();
+    if (ready) {
+        return db;
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS wallet_challenges (
+            nonce TEXT PRIMARY KEY,
+            network TEXT NOT NULL,
+            address TEXT NOT NULL,
+            message TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            used_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS wallet_challenges_expires ON wallet_challenges (expires_at);
+    `);
+
+    ready = true;
+    return db;
+};
+
+/**
+ * Issue a single-use challenge for an address on a network. Expired challenges are pruned here.
+ */
+export function createChallenge({ address, networkKey, chainId }) {
+    const now = Date.now();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + CHALLENGE_TTL_SECS * 1000;
+    const message = [
+        `${APP_NAME} wants you to sign in with your Movement account.`,
+        'This request will not trigger a transaction or cost any gas.',
+        `Account: ${address}`,
+        `Network: ${networkKey}${chainId ? ` (chain ID ${chainId})` : ''}`,
+        `Issued at: ${new Date(now).toISOString()}`,
+        `Expires at: ${new Date(expiresAt).toISOString()}`,
+    ].join('\n');
+
+    const db = getDb();
+    db.prepare('DELETE FROM wallet_challenges WHERE expires_at < ?').run(now);
+    db.prepare(`
+        INSERT INTO wallet_challenges (nonce, network, address, message, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(nonce, networkKey, address, message, now, expiresAt);
+
+    return { nonce, message, expiresAt };
+}
+
+// Helper: Header fields of a wallet-standard fullMessage, or an error message if it doesn't wrap the challenge
+const parseFullMessage = (fullMessage, { message, nonce }) => {
+    const tail = `message: ${message}\nnonce: ${nonce}`;
+    if (!fullMessage.startsWith('APTOS\n') || !fullMessage.endsWith(tail)) {
+        return { error: 'fullMessage must be the APTOS-prefixed message and nonce of the challenge' };
+    }
+
+    const fields = {};
+    for (const line of fullMessage.slice('APTOS\n'.length, fullMessage.length - tail.length).split('\n').filter(Boolean)) {
+        const match = /^(address|application|chainId): (.+)$/.exec(line);
+        if (!match || fields[match[1]] !== undefined) {
+            return { error: `fullMessage has an unexpected line "${line}"` };
+        }
+        fields[match[1]] = match[2];
+    }
+    return { fields };
+};
+
+// Helper: On-chain authentication key; an account that doesn't exist yet still has its address as key
+const onChainAuthKey = async (aptos, address) => {
+    try {
+        const info = await aptos.getAccountInfo({ accountAddress: address });
+        return AccountAddress.from(info.authentication_key).toStringLong();
+    } catch (error) {
+        if (error.status === 404) return address.toStringLong();
+        throw error;
+    }
+};
+
+// Helper: Whether the fullMessage's address line is the account; a malformed line just doesn't match
+const signedAddressMatches = (line, address) => {
+    try {
+        return AccountAddress.from(line, { maxMissingChars: 63 }).equals(address);
+    } catch {
+        return false;
+    }
+};
+
+const reject = (status, code, message, details) => ({
+    rejection: { status, body: errorBody(code, message, details ? { details } : {}) },
+});
+
+/**
+ * Check a signed challenge and consume it. Returns { address, publicKey } or { rejection: { status, body } }.
+ * `authenticator` is an `ed25519` or `single_key` (ed25519, secp256k1) payload as in transactions/authenticators.js.
+ */
+export async function verifyChallengeResponse(aptos, { address, networkKey, chainId, nonce, fullMessage, authenticator }) {
+    const accountAddress = address.toStringLong();
+    const challenge = getDb().prepare('SELECT * FROM wallet_challenges WHERE nonce = ?').get(nonce);
+    if (!challenge || challenge.used_at || challenge.expires_at < Date.now()) {
+        return reject(401, 'INVALID_CHALLENGE', 'Challenge not found, expired or already used', 'Request a new challenge');
+    }
+    if (challenge.address !== accountAddress || challenge.network !== networkKey) {
+        return reject(401, 'INVALID_CHALLENGE', 'Challenge was issued for another address or network');
+    }
+
+    const { fields, error } = parseFullMessage(fullMessage, challenge);
+    if (error) {
+        return reject(400, 'INVALID_SIGNED_MESSAGE', 'Signed message does not match the challenge', error);
+    }
+    if (fields.address !== undefined && !signedAddressMatches(fields.address, address)) {
+        return reject(400, 'INVALID_SIGNED_MESSAGE', 'Signed message does not match the challenge', `address ${fields.address} is not ${accountAddress}`);
+    }
+    if (fields.chainId !== undefined && chainId && Number(fields.chainId) !== chainId) {
+        return reject(400, 'INVALID_SIGNED_MESSAGE', 'Signed message does not match the challenge', `chainId ${fields.chainId} is not ${networkKey} (${chainId})`);
+    }
+    if (ALLOWED_APPLICATIONS.length > 0 && !ALLOWED_APPLICATIONS.includes((fields.application || '').replace(/\/+$/, ''))) {
+        return reject(400, 'INVALID_SIGNED_MESSAGE', 'Signed message does not match the challenge', `application ${fields.application || '(none)'} is not allowed`);
+    }
+
+    let parsed;
+    try {
+        parsed = parseAuthenticator(authenticator);
+    } catch (parseError) {
+        return reject(400, 'INVALID_AUTHENTICATOR', 'Invalid authenticator', parseError.message);
+    }
+    // Keyless signatures need the network to verify, multi-key accounts aren't wallet-standard signers
+    const supported = parsed instanceof AccountAuthenticatorEd25519
+        || (parsed instanceof AccountAuthenticatorSingleKey && authenticator.scheme !== 'keyless');
+    if (!supported) {
+        return reject(400, 'INVALID_AUTHENTICATOR', 'Invalid authenticator', 'Only ed25519 and single_key (ed25519, secp256k1) signatures are supported');
+    }
+
+    const { public_key: publicKey, signature } = parsed;
+    if (!publicKey.verifySignature({ message: new TextEncoder().encode(fullMessage), signature })) {
+        return reject(401, 'INVALID_SIGNATURE', 'Signature does not match the message and public key');
+    }
+
+    const authKey = await onChainAuthKey(aptos, address);
+    if (publicKey.authKey().toString() !== authKey) {
+        return reject(401, 'AUTH_KEY_MISMATCH', "Public key does not match the account's authentication key", 'The key may have been rotated');
+    }
+
+    // Only the first successful verify consumes the nonce
+    const consumed = getDb()
+        .prepare('UPDATE wallet_challenges SET used_at = ? WHERE nonce = ? AND used_at IS NULL')
+        .run(Date.now(), nonce);
+    if (consumed.changes === 0) {
+        return reject(401, 'INVALID_CHALLENGE', 'Challenge not found, expired or already used', 'Request a new challenge');
+    }
+
+    return { address: AccountAddress.from(accountAddress).toString(), publicKey: publicKey.toString() };
+}
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+const sign = (input) => crypto.createHmac('sha256', getSessionSecret()).update(input).digest('base64url');
+
+/**
+ * Session token for a verified address on a network.
+ */
+export function issueSessionToken({ address, networkKey }) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = now + SESSION_TTL_SECS;
+    const unsigned = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment({
+        sub: address,
+        network: networkKey,
+        iat: now,
+        exp: expiresAt,
+        jti: crypto.randomUUID(),
+    })}`;
+
+    return { token: `${unsigned}.${sign(unsigned)}`, expiresAt: expiresAt * 1000 };
+}
+
+/**
+ * Verify a session token and return { address, network, expiresAt }, or throw with the reason.
+ */
+export function verifySessionToken(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed session token');
+    }
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new Error('Invalid session token signature');
+    }
+
+    const claims = decodeSegment(parts[1]);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECS < Math.floor(Date.now() / 1000)) {
+        throw new Error('Session expired');
+    }
+
+    return { address: claims.sub, network: claims.network, expiresAt: claims.exp * 1000 };
+}
+
+const sendWalletAuthUnavailable = (res) => sendError(res, 503, 'WALLET_AUTH_UNAVAILABLE', 'Wallet sign-in is not configured', {
+    details: 'WALLET_SESSION_SECRET is not set',
+});
+
+/**
+ * Refuse wallet sign-in routes with 503 when sessions can't be issued (production without WALLET_SESSION_SECRET).
+ */
+export function requireWalletAuth(req, res, next) {
+    if (SECRET_REQUIRED && !sessionSecret) {
+        return sendWalletAuthUnavailable(res);
+    }
+    next();
+}
+
+/**
+ * Require a wallet session (X-Wallet-Session header) and attach it as `req.walletSession`.
+ */
+export function requireWalletSession(req, res, next) {
+    if (SECRET_REQUIRED && !sessionSecret) {
+        return sendWalletAuthUnavailable(res);
+    }
+
+    const token = req.get(SESSION_HEADER);
+    if (!token) {
+        return sendError(res, 401, 'WALLET_SESSION_REQUIRED', 'Wallet session required', {
+            details: 'Sign in with POST /auth/challenge and POST /auth/verify, then send the token in X-Wallet-Session',
+        });
+    }
+
+    let session;
+    try {
+        session = verifySessionToken(token);
+    } catch (error) {
+        return sendError(res, 401, 'WALLET_SESSION_REQUIRED', 'Invalid wallet session', { details: error.message });
+    }
+
+    req.walletSession = session;
+    next();
+}
+
+/**
+ * The request's verified wallet session, or null without a valid X-Wallet-Session header.
+ */
+export function findWalletSession(req) {
+    const token = req.get(SESSION_HEADER);
+    if (!token) return null;
+    try {
+        return verifySessionToken(token);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether a wallet session was signed in by this account on this network.
+ */
+export function sessionOwnsAddress(session, address, networkKey) {
+    return session.network === networkKey
+        && AccountAddress.from(session.address).equals(AccountAddress.from(address, { maxMissingChars: 63 }));
+}
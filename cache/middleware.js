@@ -0,0 +1,141 @@
+// middleware.js - Read-through response cache for account and transfer lookups
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { createStoreFromEnv, createMemoryStore } from './stores.js';
+import { DEFAULT_NETWORK } from '../networks/registry.js';
+import { normalizeEventCode } from '../sendmove/events.js';
+import { summarizeBalanceChanges } from '../transactions/balance-changes.js';
+
+dotenv.config();
+
+const ENABLED = process.env.CACHE_ENABLED !== 'false';
+
+// Event payloads may trim leading zeros, so any length is accepted
+const addressTag = (networkKey, address) => `${networkKey}:address:${AccountAddress.from(address, { maxMissingChars: 63 }).toStringLong()}`;
+const transferTag = (networkKey, codeHash) => `${networkKey}:transfer:${normalizeEventCode(codeHash)}`;
+
+/**
+ * TTL per cached route and the address or transfer its entries belong to (for invalidation).
+ * Override the TTL with CACHE_TTL_<POLICY>=<secs>, e.g. CACHE_TTL_FA_BALANCE=5; 0 disables the policy.
+ */
+export const CACHE_POLICIES = {
+    balance: { ttlSecs: 10, tag: ({ params }, networkKey) => addressTag(networkKey, params.address) },
+    faBalance: { ttlSecs: 10, tag: ({ params }, networkKey) => addressTag(networkKey, params.owner) },
+    accountInfo: { ttlSecs: 30, tag: ({ params }, networkKey) => addressTag(networkKey, params.address) },
+    viewTransfer: { ttlSecs: 15, tag: ({ body }, networkKey) => transferTag(networkKey, body.code) },
+};
+
+const ttlMsFor = (name) => {
+    const override = Number.parseFloat(process.env[`CACHE_TTL_${name.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`]);
+    return (Number.isFinite(override) ? override : CACHE_POLICIES[name].ttlSecs) * 1000;
+};
+
+let storePromise = null;
+
+// Helper: Shared store, created on first use; falls back to memory if the configured store fails
+const getStore = () => {
+    if (!storePromise) {
+        storePromise = createStoreFromEnv().catch((error) => {
+            console.error(`[Cache] store unavailable (${error.message}), using memory`);
+            return createMemoryStore();
+        });
+    }
+    return storePromise;
+};
+
+// Helper: Stable text for validated inputs (addresses long-form, BigInts as digits)
+const canonicalInputs = (valid) => JSON.stringify(valid, (key, value) => {
+    if (value instanceof AccountAddress) return value.toStringLong();
+    if (typeof value === 'bigint') return value.toString();
+    return value;
+});
+
+const digest = (text) => crypto.createHash('sha256').update(text).digest('base64url').slice(0, 27);
+
+// Helper: Answer with a cached or fresh entry; Express turns a matching If-None-Match on GETs into a 304
+const sendEntry = (res, send, entry, status) => {
+    res.set({
+        ETag: entry.etag,
+        'Cache-Control': `private, max-age=${Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000))}`,
+        'X-Cache': status,
+    });
+    return send(entry.body);
+};
+
+/**
+ * Express middleware caching the 200 answers of a route from CACHE_POLICIES; goes after validate().
+ * Entries are keyed by policy, network and the normalized inputs. A request with
+ * `Cache-Control: no-cache` skips the cached answer and refreshes it, unless it is a revalidation
+ * with If-None-Match (fetch adds no-cache to those). Store errors fail open.
+ */
+export function cacheResponse(policyName) {
+    const policy = CACHE_POLICIES[policyName];
+    if (!policy) {
+        throw new Error(`Unknown cache policy "${policyName}"`);
+    }
+    const ttlMs = ttlMsFor(policyName);
+
+    return async (req, res, next) => {
+        if (!ENABLED || ttlMs <= 0) return next();
+
+        const networkKey = req.valid.query?.network ?? req.valid.body?.network ?? DEFAULT_NETWORK;
+        const tag = policy.tag(req.valid, networkKey);
+        const key = `${policyName}:${tag}:${digest(canonicalInputs(req.valid))}`;
+
+        let store;
+        try {
+            store = await getStore();
+            if (req.get('if-none-match') || !/no-cache/.test(req.get('cache-control') || '')) {
+                const cached = await store.get(key);
+                if (cached) return sendEntry(res, res.json.bind(res), cached, 'HIT');
+            }
+        } catch (error) {
+            console.error('[Cache] read failed:', error.message);
+            return next();
+        }
+
+        const send = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode !== 200) return send(body);
+
+            const now = Date.now();
+            const entry = { body, etag: `"${digest(JSON.stringify(body))}"`, expiresAt: now + ttlMs };
+            store.set(key, entry, ttlMs, [tag]).catch((error) => console.error('[Cache] write failed:', error.message));
+            return sendEntry(res, send, entry, 'MISS');
+        };
+        next();
+    };
+}
+
+/**
+ * Drop cached answers for everything a committed transaction touched: its sender and fee payer,
+ * every account whose balance changed and every sendmove transfer it created or settled.
+ */
+export async function invalidateForTransaction(networkKey, txn) {
+    if (!ENABLED) return;
+
+    const addresses = [
+        txn.sender,
+        txn.signature?.fee_payer_address,
+        ...summarizeBalanceChanges(txn).map((change) => change.address),
+    ].filter(Boolean);
+    const codes = (txn.events || [])
+        .filter((event) => event.type.includes('::sendmove::') && event.data?.code)
+        .map((event) => event.data.code);
+
+    const tags = new Set(codes.map((code) => transferTag(networkKey, code)));
+    for (const address of addresses) {
+        try {
+            tags.add(addressTag(networkKey, address));
+        } catch {
+            // Not an address (e.g. an unresolved store id); nothing cached under it
+        }
+    }
+
+    try {
+        await (await getStore()).invalidate([...tags]);
+    } catch (error) {
+        console.error('[Cache] invalidation failed:', error.message);
+    }
+}
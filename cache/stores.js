@@ -0,0 +1,111 @@
+// stores.js - Storage for cached responses (memory, Redis-compatible)
+//
+// A store is `{ name, get(key), set(key, entry, ttlMs, tags), invalidate(tags) }`. Entries are plain
+// JSON objects; `invalidate` drops every entry stored under any of the tags (e.g. an address).
+
+// Drop expired entries every this many writes
+const SWEEP_EVERY = 1000;
+
+// Redis tag sets expire this long after their last write (cached entries live far shorter)
+const TAG_TTL_MS = 60 * 60 * 1000;
+
+export function createMemoryStore({ maxEntries = 10000 } = {}) {
+    const entries = new Map();
+    const tagged = new Map();
+    let writes = 0;
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        for (const tag of entry.tags) {
+            tagged.get(tag)?.delete(key);
+            if (tagged.get(tag)?.size === 0) tagged.delete(tag);
+        }
+    };
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                remove(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlMs, tags = []) {
+            const now = Date.now();
+            if (++writes % SWEEP_EVERY === 0) {
+                for (const [k, entry] of entries) {
+                    if (entry.expiresAt <= now) remove(k);
+                }
+            }
+
+            remove(key);
+            // Oldest first, so the first key is the one to evict
+            if (entries.size >= maxEntries) remove(entries.keys().next().value);
+
+            entries.set(key, { value, expiresAt: now + ttlMs, tags });
+            for (const tag of tags) {
+                if (!tagged.has(tag)) tagged.set(tag, new Set());
+                tagged.get(tag).add(key);
+            }
+        },
+        async invalidate(tags) {
+            for (const tag of tags) {
+                for (const key of [...(tagged.get(tag) || [])]) remove(key);
+            }
+        },
+    };
+}
+
+// Any server speaking the Redis protocol, shared by every instance; tags are sets of keys
+export async function createRedisStore({ url, prefix = 'cache:' }) {
+    if (!url) {
+        throw new Error('CACHE_REDIS_URL is not set');
+    }
+
+    const { default: Redis } = await import('ioredis');
+    const redis = new Redis(url, { maxRetriesPerRequest: 2, enableOfflineQueue: false, lazyConnect: false });
+    redis.on('error', (error) => console.error('[Cache] Redis error:', error.message));
+
+    return {
+        name: 'redis',
+        async get(key) {
+            const value = await redis.get(`${prefix}entry:${key}`);
+            return value ? JSON.parse(value) : null;
+        },
+        async set(key, value, ttlMs, tags = []) {
+            const multi = redis.multi().set(`${prefix}entry:${key}`, JSON.stringify(value), 'PX', ttlMs);
+            for (const tag of tags) {
+                multi.sadd(`${prefix}tag:${tag}`, key).pexpire(`${prefix}tag:${tag}`, Math.max(ttlMs, TAG_TTL_MS));
+            }
+            await multi.exec();
+        },
+        async invalidate(tags) {
+            for (const tag of tags) {
+                const keys = await redis.smembers(`${prefix}tag:${tag}`);
+                await redis.del(`${prefix}tag:${tag}`, ...keys.map((key) => `${prefix}entry:${key}`));
+            }
+        },
+    };
+}
+
+/**
+ * Store from CACHE_STORE (memory, redis).
+ * Defaults to Redis when CACHE_REDIS_URL is set, otherwise memory.
+ */
+export async function createStoreFromEnv(env = process.env) {
+    const name = env.CACHE_STORE || (env.CACHE_REDIS_URL ? 'redis' : 'memory');
+
+    switch (name) {
+        case 'memory':
+            return createMemoryStore({ maxEntries: Number(env.CACHE_MAX_ENTRIES || 10000) });
+        case 'redis':
+            return createRedisStore({ url: env.CACHE_REDIS_URL });
+        default:
+            throw new Error(`Unknown CACHE_STORE "${name}"`);
+    }
+}
@@ -1,145 +1,118 @@
 // send-code-email.js - Email endpoint for sending crypto transfer codes
 import express from "express";
-import cors from "cors";
 import dotenv from "dotenv";
-import { Resend } from "resend";
+import { AccountAddress } from "@aptos-labs/ts-sdk";
+import { createTransportFromEnv } from "./transports.js";
+import { renderClaimCodeEmail } from "./templates.js";
+import { hashClaimCode, lookupTransfer } from "../sendmove/transfers.js";
+import { resolveAssetMetadata, formatAmount } from "../assets/metadata.js";
+import { rateLimit } from "../ratelimit/middleware.js";
+import { requireWalletSession, sessionOwnsAddress } from "../auth/wallet-sessions.js";
+import { validate } from "../validation/middleware.js";
+import { sendEmail as sendEmailSchema } from "../validation/schemas.js";
+import { sendError } from "../validation/errors.js";
 
 dotenv.config();
 
-const router = express.Router();
+const FROM_ADDRESS = process.env.DEFAULT_FROM || "noreply@column.app";
+const CLAIM_URL_BASE = process.env.CLAIM_URL_BASE || "https://column.app/claim";
 
-// Initialize Resend
-if (!process.env.RESEND_API_KEY) {
-  console.warn("WARNING: RESEND_API_KEY not set. Email sending will fail.");
-}
-
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-// Simple in-memory rate limiter (use Redis in production)
-const ipCounts = new Map();
-const RATE_LIMIT_MAX = 12; // max 12 emails per IP per day
-const RATE_LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Fields the old endpoint accepted; the message is now always built server-side
+const LOCKED_FIELDS = ["from", "html", "subject", "text"];
 
-function checkRateLimit(ipAddress) {
-  const entry = ipCounts.get(ipAddress) || { count: 0, ts: Date.now() };
-  const now = Date.now();
-
-  // Reset counter if window expired (24 hours)
-  if (now - entry.ts > RATE_LIMIT_WINDOW_MS) {
-    entry.count = 0;
-    entry.ts = now;
+// Helper: Reject fields the caller may no longer set (before the schema drops unknown keys)
+const rejectLockedFields = (req, res, next) => {
+  const lockedField = LOCKED_FIELDS.find((field) => req.body?.[field] !== undefined);
+  if (lockedField) {
+    return sendError(res, 400, "FIELD_NOT_ALLOWED", `'${lockedField}' can't be set; the email is generated from the transfer`, {
+      fields: [{ field: `body.${lockedField}`, code: "FIELD_NOT_ALLOWED", message: `body.${lockedField} can't be set` }]
+    });
   }
+  next();
+};
 
-  entry.count++;
-  ipCounts.set(ipAddress, entry);
-  return entry.count <= RATE_LIMIT_MAX;
-}
+// Helper: Single-line text from the caller, without control characters (its length is checked by the schema)
+const cleanText = (value) => typeof value === "string"
+  ? value.replace(/\p{Cc}+/gu, " ").trim()
+  : "";
 
-// POST /send-email - Send security alert email
-router.post("/send-email", async (req, res) => {
-  try {
-    const { to, subject, from, html, senderName } = req.body;
-    const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+/**
+ * Router for POST /send-email. Needs the network helpers from index.js to read the transfer from chain.
+ */
+export function createEmailRouter({ getAptosClient, resolveNetwork, moduleAddressFor }) {
+  const router = express.Router();
 
-    // Validate required fields
-    if (!to) {
-      return res.status(400).json({
-        error: "Missing required field: 'to'"
-      });
-    }
+  let transport;
+  try {
+    transport = createTransportFromEnv();
+    console.log(`[Email] Using ${transport.name} transport`);
+  } catch (err) {
+    console.warn(`WARNING: Email transport unavailable (${err.message}). Email sending will fail.`);
+  }
 
-    // Basic email validation
-    if (typeof to !== "string" || !to.includes("@")) {
-      return res.status(400).json({
-        error: "Invalid email address"
+  // POST /send-email - Email a claim code for an existing sendmove transfer (only sent emails count against the limit).
+  // Only the transfer's sender may send it, proven by a wallet session (X-Wallet-Session).
+  router.post("/send-email", rateLimit("email"), rejectLockedFields, validate(sendEmailSchema), requireWalletSession, async (req, res) => {
+    try {
+      const { to, code: claimCode, network, senderName, note } = req.valid.body;
+
+      if (!transport) {
+        return sendError(res, 503, "EMAIL_UNAVAILABLE", "Email delivery is not configured");
+      }
+
+      // Everything in the email comes from the transfer on chain
+      const networkKey = resolveNetwork(network);
+      const aptos = getAptosClient(networkKey);
+      const transfer = await lookupTransfer(aptos, { moduleAddress: moduleAddressFor(networkKey), codeHash: hashClaimCode(claimCode) });
+
+      if (!transfer) {
+        return sendError(res, 404, "TRANSFER_NOT_FOUND", "No pending transfer for this code");
+      }
+      if (!sessionOwnsAddress(req.walletSession, transfer.sender, networkKey)) {
+        return sendError(res, 403, "WALLET_SESSION_MISMATCH", "Only the transfer's sender can email its code", {
+          details: `Sign in as the sender on ${networkKey}`
+        });
+      }
+      if (transfer.expiration > 0 && transfer.expiration <= Math.floor(Date.now() / 1000)) {
+        return sendError(res, 409, "TRANSFER_EXPIRED", "This transfer has expired");
+      }
+
+      const metadata = await resolveAssetMetadata(aptos, {
+        networkKey,
+        asset: transfer.type === "fa" ? AccountAddress.from(transfer.assetMetadata).toString() : "0xa",
       });
-    }
 
-    // Check rate limit (12 emails per IP per day)
-    if (!checkRateLimit(ip)) {
-      return res.status(429).json({
-        error: "Daily limit reached. You can only send 12 codes per day."
+      const displayCode = claimCode.match(/.{1,4}/g).join("-");
+      const claimUrl = `${CLAIM_URL_BASE}?${new URLSearchParams({ code: displayCode, network: networkKey })}`;
+
+      const message = renderClaimCodeEmail({
+        amount: formatAmount(transfer.amount, metadata.decimals),
+        symbol: metadata.symbol,
+        code: displayCode,
+        claimUrl,
+        expiration: transfer.expiration,
+        senderName: cleanText(senderName),
+        note: cleanText(note),
       });
-    }
-
-    // Construct email HTML (use provided HTML or default template)
-    const messageHtml = html || `
-<!DOCTYPE html>
-<html>
-
-<body style="font-family: Arial, sans-serif; background:#f5f5f5; padding:20px;">
-    <table width="100%" max-width="600" align="center" style="background:#ffffff; padding:20px;">
-        <tr>
-            <td>
-                <h3>New sign-in blocked — action may be required</h3>
-
-                <p>Hi Michael,</p>
-
-                <p>
-                    We blocked a recent sign-in attempt to your account from a new device.
-                </p>
 
-                <p>
-                    <strong>Location:</strong> Lagos, NG<br />
-                    <strong>Device:</strong> Android<br />
-                    <strong>Time:</strong> Today, 14:21
-                </p>
+      const sendResult = await transport.send({ from: FROM_ADDRESS, to, ...message });
 
-                <p>
-                    If you don’t recognize this activity, we recommend securing your account.
-                </p>
+      // Log success without the code itself
+      console.log(`[Email Sent] Claim code email sent via ${transport.name}, ID: ${sendResult.id}`);
 
-                <a href="#" style="color:#0066cc;">
-                    Review activity
-                </a>
-
-                <p style="margin-top:30px;">
-                    Thanks,<br />
-                    Account Security Team
-                </p>
-            </td>
-        </tr>
-    </table>
-</body>
-
-</html>
-    `;
-
-
-
-    // Send email via Resend
-    const sendResult = await resend.emails.send({
-      from: from || process.env.DEFAULT_FROM || "noreply@column.app",
-      to,
-      subject: subject || "New sign-in blocked",
-      html: messageHtml,
-
-    });
-
-    // Debug: Log full Resend response
-    console.log('[Resend Response]', JSON.stringify(sendResult, null, 2));
+      res.json({
+        success: true,
+        id: sendResult.id,
+        message: "Email sent successfully"
+      });
 
-    // Check if there's an error in the response
-    if (sendResult.error) {
-      throw new Error(sendResult.error.message || 'Resend API error');
+    } catch (err) {
+      console.error("Error sending email:", err);
+      sendError(res, 500, "INTERNAL_ERROR", "Failed to send email", {
+        details: process.env.NODE_ENV === 'development' ? err?.message : undefined
+      });
     }
+  });
 
-    // Log success (optional: store in database for audit)
-    console.log(`[Email Sent] Security alert sent to ${to}, ID: ${sendResult.data?.id}`);
-
-    res.json({
-      success: true,
-      id: sendResult.data?.id || null,
-      message: "Email sent successfully"
-    });
-
-  } catch (err) {
-    console.error("Error sending email:", err);
-    res.status(500).json({
-      error: "Failed to send email",
-      details: process.env.NODE_ENV === 'development' ? err?.message : undefined
-    });
-  }
-});
-
-export default router;
+  return router;
+}
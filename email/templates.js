@@ -0,0 +1,75 @@
+// templates.js - Claim code email, rendered from the on-chain transfer
+
+// Longest sender name and note the email shows; /send-email rejects longer ones
+export const SENDER_NAME_MAX_LENGTH = 50;
+export const NOTE_MAX_LENGTH = 280;
+
+// Helper: Escape text for HTML (sender names and notes come from the caller)
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Helper: "Mon, 20 Oct 2026 14:21 UTC"
+const formatExpiry = (expiration) => new Date(expiration * 1000).toUTCString().replace("GMT", "UTC");
+
+/**
+ * Subject, HTML and plain-text bodies for a claim code email.
+ * @param {{ amount: string, symbol: string, code: string, claimUrl: string, expiration: number, senderName?: string, note?: string }} transfer
+ */
+export function renderClaimCodeEmail({ amount, symbol, code, claimUrl, expiration, senderName, note }) {
+  const from = senderName ? escapeHtml(senderName) : "Someone";
+  const expiresAt = formatExpiry(expiration);
+  const subject = `${senderName || "Someone"} sent you ${amount} ${symbol}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+
+<body style="font-family: Arial, sans-serif; background:#f5f5f5; padding:20px;">
+    <table width="100%" style="max-width:600px; margin:0 auto; background:#ffffff; padding:20px;">
+        <tr>
+            <td>
+                <h3>You received ${escapeHtml(amount)} ${escapeHtml(symbol)}</h3>
+
+                <p>${from} sent you ${escapeHtml(amount)} ${escapeHtml(symbol)} on Column.</p>
+${note ? `
+                <p style="padding:12px; background:#f5f5f5; border-radius:4px;">${escapeHtml(note)}</p>
+` : ""}
+                <p>Your claim code:</p>
+
+                <p style="font-size:24px; font-weight:bold; letter-spacing:2px;">${escapeHtml(code)}</p>
+
+                <a href="${escapeHtml(claimUrl)}" style="display:inline-block; background:#0066cc; color:#ffffff; padding:12px 20px; border-radius:4px; text-decoration:none;">
+                    Claim ${escapeHtml(symbol)}
+                </a>
+
+                <p style="margin-top:20px;">
+                    This code expires on <strong>${escapeHtml(expiresAt)}</strong>. After that the sender can take the funds back.
+                </p>
+
+                <p style="margin-top:30px; color:#666666; font-size:12px;">
+                    Anyone with this code can claim the funds. Don't share it with anyone you don't trust.
+                </p>
+            </td>
+        </tr>
+    </table>
+</body>
+
+</html>
+    `;
+
+  const text = [
+    `${senderName || "Someone"} sent you ${amount} ${symbol} on Column.`,
+    note ? `\n"${note}"\n` : "",
+    `Your claim code: ${code}`,
+    `Claim it here: ${claimUrl}`,
+    "",
+    `This code expires on ${expiresAt}. After that the sender can take the funds back.`,
+    "Anyone with this code can claim the funds. Don't share it with anyone you don't trust.",
+  ].join("\n");
+
+  return { subject, html, text };
+}
@@ -0,0 +1,109 @@
+// transports.js - Pluggable email transports (Resend, SMTP, local file or console)
+//
+// A transport is `{ name, send({ from, to, subject, html, text }) }` and resolves to `{ id }`.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import fetch from "node-fetch";
+import nodemailer from "nodemailer";
+
+dotenv.config();
+
+const RESEND_API_URL = "https://api.resend.com/emails";
+
+export function createResendTransport({ apiKey }) {
+  if (!apiKey) {
+    throw new Error("RESEND_API_KEY is not set");
+  }
+
+  return {
+    name: "resend",
+    async send(message) {
+      const response = await fetch(RESEND_API_URL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(message),
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.message || `Resend API error (${response.status})`);
+      }
+      return { id: body.id || null };
+    },
+  };
+}
+
+export function createSmtpTransport({ url }) {
+  if (!url) {
+    throw new Error("SMTP_URL is not set");
+  }
+
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId || null };
+    },
+  };
+}
+
+// Writes each message as JSON into a directory - for local development and tests
+export function createFileTransport({ dir }) {
+  return {
+    name: "file",
+    async send(message) {
+      const id = crypto.randomUUID();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${Date.now()}-${id}.json`),
+        JSON.stringify({ id, ...message }, null, 2)
+      );
+      return { id };
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      const id = crypto.randomUUID();
+      // Never the body: it carries the claim code and URL
+      console.log(`[Email] ${id} to=${message.to} subject="${message.subject}"`);
+      return { id };
+    },
+  };
+}
+
+/**
+ * Transport from EMAIL_TRANSPORT (resend, smtp, file, console).
+ * Defaults to Resend when RESEND_API_KEY is set, otherwise console outside production;
+ * production has no default and throws so nothing is reported as sent that wasn't.
+ */
+export function createTransportFromEnv(env = process.env) {
+  const production = env.NODE_ENV === "production" || Boolean(env.VERCEL);
+  if (production && !env.EMAIL_TRANSPORT && !env.RESEND_API_KEY) {
+    throw new Error("EMAIL_TRANSPORT or RESEND_API_KEY must be set in production");
+  }
+  const name = env.EMAIL_TRANSPORT || (env.RESEND_API_KEY ? "resend" : "console");
+
+  switch (name) {
+    case "resend":
+      return createResendTransport({ apiKey: env.RESEND_API_KEY });
+    case "smtp":
+      return createSmtpTransport({ url: env.SMTP_URL });
+    case "file":
+      return createFileTransport({ dir: env.EMAIL_OUTBOX_DIR || "data/outbox" });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+}
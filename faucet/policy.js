@@ -0,0 +1,182 @@
+// policy.js - Faucet limits (max amount, cooldowns, daily budget) and the ledger of faucet requests
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getIndexStore } from '../indexer/store.js';
+import { errorBody } from '../validation/errors.js';
+
+dotenv.config();
+
+// Amounts are in octas
+const MAX_AMOUNT = BigInt(process.env.FAUCET_MAX_AMOUNT || '1000000000'); // 10 MOVE per request
+const DAILY_BUDGET = BigInt(process.env.FAUCET_DAILY_BUDGET || '100000000000'); // 1000 MOVE per network per UTC day
+const ADDRESS_COOLDOWN_SECS = Number(process.env.FAUCET_ADDRESS_COOLDOWN_SECS || 24 * 60 * 60);
+const IP_COOLDOWN_SECS = Number(process.env.FAUCET_IP_COOLDOWN_SECS || 60 * 60);
+
+// Pending and granted requests count against cooldowns and the budget; failed ones don't
+const COUNTED_STATUSES = "('pending', 'granted')";
+
+let ready = false;
+
+const getDb = () => {
+    const db = getIndexStore();
+    if (ready) {
+        return db;
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS faucet_grants (
+            id TEXT PRIMARY KEY,
+            network TEXT NOT NULL,
+            address TEXT NOT NULL,
+            ip TEXT NOT NULL,
+            amount TEXT NOT NULL,
+            status TEXT NOT NULL,
+            reason TEXT,
+            transaction_hashes TEXT,
+            created_at INTEGER NOT NULL,
+            settled_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS faucet_grants_address ON faucet_grants (network, address, created_at);
+        CREATE INDEX IF NOT EXISTS faucet_grants_ip ON faucet_grants (network, ip, created_at);
+        CREATE INDEX IF NOT EXISTS faucet_grants_created ON faucet_grants (network, created_at);
+    `);
+
+    ready = true;
+    return db;
+};
+
+const toGrant = (row) => row && {
+    id: row.id,
+    network: row.network,
+    address: row.address,
+    ip: row.ip,
+    amount: row.amount,
+    status: row.status,
+    reason: row.reason,
+    transactionHashes: row.transaction_hashes ? JSON.parse(row.transaction_hashes) : [],
+    createdAt: row.created_at,
+    settledAt: row.settled_at,
+};
+
+// Helper: Start of the current UTC day (ms)
+const startOfUtcDay = (now) => now - (now % (24 * 60 * 60 * 1000));
+
+// Sum of counted grants since the start of the UTC day (amounts are TEXT, summed as BigInt)
+const spentToday = (db, network, now) => db
+    .prepare(`SELECT amount FROM faucet_grants WHERE network = ? AND created_at >= ? AND status IN ${COUNTED_STATUSES}`)
+    .all(network, startOfUtcDay(now))
+    .reduce((total, row) => total + BigInt(row.amount), 0n);
+
+const lastCountedAt = (db, network, column, value) => db
+    .prepare(`SELECT MAX(created_at) AS at FROM faucet_grants WHERE network = ? AND ${column} = ? AND status IN ${COUNTED_STATUSES}`)
+    .get(network, value).at;
+
+const rejection = (status, code, error, details, retryAfter) => ({
+    rejection: { status, retryAfter, body: errorBody(code, error, { details }) },
+});
+
+const recordRejected = (db, { network, address, ip, amount, reason, now }) => {
+    db.prepare(`
+        INSERT INTO faucet_grants (id, network, address, ip, amount, status, reason, created_at, settled_at)
+        VALUES (?, ?, ?, ?, ?, 'rejected', ?, ?, ?)
+    `).run(crypto.randomUUID(), network, address, ip, amount.toString(), reason, now, now);
+};
+
+/**
+ * Check the faucet policy and, if it passes, record a pending grant.
+ * Returns `{ grant }`, or `{ rejection: { status, retryAfter, body } }`. Rejections are recorded too.
+ */
+export function reserveFaucetGrant({ network, address, ip, amount }) {
+    const db = getDb();
+    const now = Date.now();
+
+    return db.transaction(() => {
+        if (amount > MAX_AMOUNT) {
+            recordRejected(db, { network, address, ip, amount, reason: 'amount_too_large', now });
+            return rejection(400, 'FAUCET_AMOUNT_TOO_LARGE', 'Requested amount is too large', `At most ${MAX_AMOUNT} octas per request`);
+        }
+
+        const addressCooldownEnds = (lastCountedAt(db, network, 'address', address) ?? -Infinity) + ADDRESS_COOLDOWN_SECS * 1000;
+        if (addressCooldownEnds > now) {
+            recordRejected(db, { network, address, ip, amount, reason: 'address_cooldown', now });
+            const retryAfter = Math.ceil((addressCooldownEnds - now) / 1000);
+            return rejection(429, 'FAUCET_COOLDOWN', 'This address was funded recently', `Try again in ${retryAfter}s`, retryAfter);
+        }
+
+        const ipCooldownEnds = (lastCountedAt(db, network, 'ip', ip) ?? -Infinity) + IP_COOLDOWN_SECS * 1000;
+        if (ipCooldownEnds > now) {
+            recordRejected(db, { network, address, ip, amount, reason: 'ip_cooldown', now });
+            const retryAfter = Math.ceil((ipCooldownEnds - now) / 1000);
+            return rejection(429, 'FAUCET_COOLDOWN', 'Too many faucet requests from this client', `Try again in ${retryAfter}s`, retryAfter);
+        }
+
+        const remaining = DAILY_BUDGET - spentToday(db, network, now);
+        if (amount > remaining) {
+            recordRejected(db, { network, address, ip, amount, reason: 'daily_budget_exhausted', now });
+            const retryAfter = Math.ceil((startOfUtcDay(now) + 24 * 60 * 60 * 1000 - now) / 1000);
+            return rejection(429, 'FAUCET_BUDGET_EXHAUSTED', 'Daily faucet budget exhausted', `${remaining > 0n ? remaining : 0n} octas left today`, retryAfter);
+        }
+
+        const grant = {
+            id: crypto.randomUUID(),
+            network,
+            address,
+            ip,
+            amount: amount.toString(),
+            createdAt: now,
+        };
+        db.prepare(`
+            INSERT INTO faucet_grants (id, network, address, ip, amount, status, created_at)
+            VALUES (@id, @network, @address, @ip, @amount, 'pending', @createdAt)
+        `).run(grant);
+
+        return { grant: { ...grant, status: 'pending' } };
+    })();
+}
+
+/**
+ * Mark a pending grant as granted (with the faucet's transaction hashes) or failed (releases its budget).
+ */
+export function settleFaucetGrant(id, { status, reason = null, transactionHashes = [] }) {
+    getDb().prepare(`
+        UPDATE faucet_grants SET status = ?, reason = ?, transaction_hashes = ?, settled_at = ? WHERE id = ?
+    `).run(status, reason, JSON.stringify(transactionHashes), Date.now(), id);
+}
+
+/**
+ * Ledger entries, newest first, filtered by any of network, address, ip, status and a `since` timestamp (ms).
+ */
+export function listFaucetGrants({ network, address, ip, status, since, offset = 0, limit = 50 } = {}) {
+    const filters = [];
+    const params = [];
+    for (const [column, value] of [['network', network], ['address', address], ['ip', ip], ['status', status]]) {
+        if (value) {
+            filters.push(`${column} = ?`);
+            params.push(value);
+        }
+    }
+    if (since) {
+        filters.push('created_at >= ?');
+        params.push(since);
+    }
+
+    const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+    return getDb()
+        .prepare(`SELECT * FROM faucet_grants ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset)
+        .map(toGrant);
+}
+
+export function getFaucetStatus(network) {
+    const spent = spentToday(getDb(), network, Date.now());
+    return {
+        network,
+        maxAmount: MAX_AMOUNT.toString(),
+        addressCooldownSecs: ADDRESS_COOLDOWN_SECS,
+        ipCooldownSecs: IP_COOLDOWN_SECS,
+        dailyBudget: DAILY_BUDGET.toString(),
+        spentToday: spent.toString(),
+        remainingToday: (DAILY_BUDGET > spent ? DAILY_BUDGET - spent : 0n).toString(),
+    };
+}
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import express from 'express';
 import cors from 'cors';
@@ -8,22 +9,103 @@ import {
     AptosConfig,
     Network,
     AccountAddress,
-    AccountAuthenticatorEd25519,
-    Ed25519PublicKey,
-    Ed25519Signature,
     generateSigningMessageForTransaction,
     SimpleTransaction,
     Hex,
     Deserializer,
 } from '@aptos-labs/ts-sdk';
+import { summarizeBalanceChanges, gasFee, formatEvents } from './transactions/balance-changes.js';
+import { decodeVmStatus, vmStatusFromError } from './transactions/vm-status.js';
+import { parseAuthenticator, parseAuthenticatorPublicKey } from './transactions/authenticators.js';
+import {
+    generateClaimCode,
+    hashClaimCode,
+    lookupTransfer,
+    resolveEntryFunction,
+} from './sendmove/transfers.js';
+import { queryTransfersPage, queryTransactionTimestamps, summarizeTransferTotals } from './sendmove/events.js';
+import { fetchOwnedAssetsFromIndexer, scanOwnedAssets, NATIVE_FA_METADATA } from './assets/owned-assets.js';
+import { getAssetMetadata, formatAmount } from './assets/metadata.js';
+import { getAssetPrices } from './prices/price-service.js';
+import { describeActivity, listAccountTransactions } from './transactions/activity.js';
+import { subscribe, getSubscriptionStats } from './realtime/subscriptions.js';
+import {
+    registerWebhook,
+    removeWebhook,
+    updateWebhookActive,
+    replayDelivery,
+    processDueDeliveries,
+    listenForSendmoveEvents,
+    startWebhookDispatcher,
+} from './webhooks/dispatcher.js';
+import { getWebhook, listWebhooks, listDeliveries } from './webhooks/store.js';
+import { createEmailRouter } from './email/send-code-email.js';
+import { prepareViewCall, decodeResult } from './views/view-functions.js';
+import { rateLimit } from './ratelimit/middleware.js';
+import { cacheResponse, invalidateForTransaction } from './cache/middleware.js';
+import { authenticate, requireScope, corsOptions, listClientUsage } from './auth/middleware.js';
+import { createChallenge, verifyChallengeResponse, issueSessionToken, requireWalletAuth, requireWalletSession } from './auth/wallet-sessions.js';
+import { validate } from './validation/middleware.js';
+import * as schemas from './validation/schemas.js';
+import { errorBody, sendError } from './validation/errors.js';
+import { NETWORK_CONFIGS, DEFAULT_NETWORK, publicNetwork } from './networks/registry.js';
+import { createRpcClient, getRpcHealth, isRpcTimeout, startRpcHealthChecks } from './networks/rpc.js';
+import { reserveFaucetGrant, settleFaucetGrant, listFaucetGrants, getFaucetStatus } from './faucet/policy.js';
+import { findIndexedTransfer, listIndexedAssets, listIndexedTransfersBySender } from './indexer/store.js';
+import { syncSendmoveEvents, getIndexerStatus, startSendmoveIndexer } from './indexer/sendmove-indexer.js';
+import {
+    getSponsorAccount,
+    checkSponsorPolicy,
+    reserveSponsoredGas,
+    settleSponsoredGas,
+    getSponsorStatus,
+} from './sponsor/fee-payer.js';
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
+// Total time /view-transfer may spend on chain calls, alternate networks included
+const VIEW_TRANSFER_DEADLINE_MS = Number(process.env.VIEW_TRANSFER_DEADLINE_MS || 15000);
+
+// Local sendmove index: read by lookups whenever enabled, filled from networks that have an indexer
+const SENDMOVE_INDEX_ENABLED = process.env.SENDMOVE_INDEX_ENABLED !== 'false';
+
+// Webhook deliveries: queued wherever events are seen, sent by the retry worker or GET /cron/webhooks
+const WEBHOOKS_ENABLED = process.env.WEBHOOKS_ENABLED !== 'false';
+if (WEBHOOKS_ENABLED) {
+    listenForSendmoveEvents();
+}
+
+// Helper: TRUST_PROXY as an Express `trust proxy` value - hop count, true/false or a subnet list
+const parseTrustProxy = (value) => {
+    if (/^\d+$/.test(value)) return Number(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+};
+
+// Client IPs come from the socket unless TRUST_PROXY names the proxies in front of us
+// (x-forwarded-for is only honoured for those); Vercel's edge is one hop
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : 'false')));
 
-app.use(cors());
+app.use(cors(corsOptions()));
 app.use(express.json());
+// Per-IP limit first, so requests with bad credentials are counted too
+app.use(rateLimit('default'));
+app.use(authenticate);
+app.use(rateLimit('client'));
+
+// Scopes per route group (`/` and `/test` are public)
+app.use(['/generate-hash', '/simulate-transaction', '/generate-batch-hash', '/submit-transaction', '/submit-batch'], requireScope('transactions'));
+app.use(['/view-transfer', '/transfers/create', '/transfers/create-fa', '/transfers/claim', '/transfers/refund', '/send-email'], requireScope('transfers'));
+app.use('/faucet', requireScope('faucet'));
+app.use('/webhooks', requireScope('webhooks'));
+app.use('/admin', requireScope('admin'));
+app.use('/cron', requireScope('cron'));
+app.use([
+    '/transaction', '/sponsor', '/balance', '/fa-balance', '/fa-metadata', '/account-info', '/activity',
+    '/transfers/by-sender', '/indexer', '/subscribe', '/owned-objects', '/portfolio', '/networks', '/view', '/auth',
+], requireScope('read'));
 
 // Log all incoming requests (can be disabled in production)
 app.use((req, res, next) => {
@@ -31,180 +113,628 @@ app.use((req, res, next) => {
     next();
 });
 
-// Root route for health check
-app.get('/', (req, res) => {
+// Root route for health check, with the state of every fullnode
+app.get('/', async (req, res) => {
     res.json({
         status: 'online',
         message: 'Satoshi Protocol Backend is running',
-        network: DEFAULT_NETWORK
+        network: DEFAULT_NETWORK,
+        rpc: await getRpcHealth(),
     });
 });
 
-// Email sending routes - REMOVED
-
-const NETWORK_CONFIGS = {
-    mainnet: {
-        key: 'mainnet',
-        rpcUrl: process.env.MOVEMENT_MAINNET_RPC || 'https://full.mainnet.movementinfra.xyz/v1',
-        faucetUrl: null,
-    },
-    testnet: {
-        key: 'testnet',
-        rpcUrl: process.env.MOVEMENT_TESTNET_RPC || 'https://testnet.movementnetwork.xyz/v1',
-        faucetUrl: process.env.MOVEMENT_TESTNET_FAUCET || 'https://faucet.testnet.movementnetwork.xyz/',
-    },
-};
-
-const isNetwork = (value) => value === 'mainnet' || value === 'testnet';
-
-const DEFAULT_NETWORK = isNetwork(process.env.DEFAULT_MOVEMENT_NETWORK)
-    ? process.env.DEFAULT_MOVEMENT_NETWORK
-    : 'testnet';
+// Configured networks, without API keys or endpoint URLs
+app.get('/networks', (req, res) => {
+    res.json({
+        networks: Object.values(NETWORK_CONFIGS).map(publicNetwork),
+        default: DEFAULT_NETWORK,
+    });
+});
 
 const aptosClients = new Map();
 
-const getAptosClient = (networkKey) => {
-    const resolvedNetwork = isNetwork(networkKey) ? networkKey : DEFAULT_NETWORK;
+// Callers pass validated network keys (see the `network` field in validation/schemas.js).
+// Requests go through networks/rpc.js for failover, timeouts and retries. A client with a `deadline`
+// (for one request's chain of calls) is built fresh instead of cached.
+const getAptosClient = (networkKey, { deadline = null } = {}) => {
+    if (!deadline && aptosClients.has(networkKey)) {
+        return aptosClients.get(networkKey);
+    }
 
-    if (aptosClients.has(resolvedNetwork)) {
-        return aptosClients.get(resolvedNetwork);
+    const config = NETWORK_CONFIGS[networkKey];
+    if (!config) {
+        throw new Error(`Unknown network: ${networkKey}`);
     }
 
-    const config = NETWORK_CONFIGS[resolvedNetwork];
     const aptosConfig = new AptosConfig({
         network: Network.CUSTOM,
-        fullnode: config.rpcUrl,
+        fullnode: config.fullnodeUrl,
+        indexer: config.indexerUrl || undefined,
+        clientConfig: config.apiKey ? { API_KEY: config.apiKey } : undefined,
+        client: createRpcClient(networkKey, { deadline }),
     });
     const client = new Aptos(aptosConfig);
-    aptosClients.set(resolvedNetwork, client);
+    if (!deadline) {
+        aptosClients.set(networkKey, client);
+    }
     return client;
 };
 
-const resolveNetwork = (input) => {
-    if (typeof input === 'string' && isNetwork(input)) {
-        return input;
+// Helper: Requested network (already checked against the registry) or the default one
+const resolveNetwork = (input) => input ?? DEFAULT_NETWORK;
+
+// Helper: Address the sendmove module is published at on a network
+const moduleAddressFor = (networkKey) => NETWORK_CONFIGS[networkKey].moduleAddress;
+
+// Helper: Typed authenticator payload, or the legacy top-level Ed25519 publicKey / signature
+const authenticatorPayloadFrom = ({ authenticator, publicKey, signature }) => {
+    if (authenticator) {
+        return authenticator;
+    }
+    return { type: 'ed25519', publicKey, signature };
+};
+
+// Helper: Build a generic entry function transaction
+const buildEntryFunctionTransaction = async (aptos, { sender, func, typeArguments, functionArguments, sponsor, options }) => {
+    const rawTxn = await aptos.transaction.build.simple({
+        sender: AccountAddress.from(sender),
+        withFeePayer: Boolean(sponsor),
+        data: {
+            function: func,
+            typeArguments: typeArguments || [],
+            functionArguments,
+        },
+        options,
+    });
+
+    // Sign over the real fee payer address so the sponsor can co-sign as-is
+    if (sponsor) {
+        rawTxn.feePayerAddress = sponsor.accountAddress;
+    }
+
+    return rawTxn;
+};
+
+// Helper: Signing hash for Privy plus the serialized transaction to send back on submit
+const signingPayload = (rawTxn) => ({
+    hash: toHex(generateSigningMessageForTransaction(rawTxn)),
+    rawTxnHex: rawTxn.bcsToHex().toString(),
+});
+
+// Helper: Parse a validated signed transaction body into the transaction and its sender authenticator.
+// Returns an error body on invalid input or when the transaction was built for another chain.
+const parseSignedTransaction = ({ rawTxnHex, authenticator, publicKey, signature }, networkKey) => {
+    if (!(authenticator || (publicKey && signature))) {
+        return errorBody('MISSING_FIELD', 'Missing authenticator (or publicKey and signature)');
+    }
+
+    let senderAuthenticator;
+    try {
+        senderAuthenticator = parseAuthenticator(authenticatorPayloadFrom({ authenticator, publicKey, signature }));
+    } catch (error) {
+        return errorBody('INVALID_AUTHENTICATOR', 'Invalid authenticator', { details: error.message });
+    }
+
+    let transaction;
+    try {
+        transaction = SimpleTransaction.deserialize(new Deserializer(Hex.fromHexInput(rawTxnHex).toUint8Array()));
+    } catch (error) {
+        return errorBody('INVALID_TRANSACTION', 'Invalid rawTxnHex', { details: error.message });
+    }
+
+    const { chainId } = NETWORK_CONFIGS[networkKey];
+    const transactionChainId = transaction.rawTransaction.chain_id.chainId;
+    if (chainId && transactionChainId !== chainId) {
+        return errorBody('CHAIN_ID_MISMATCH', `Transaction is for chain ${transactionChainId}, but ${networkKey} is chain ${chainId}`);
+    }
+
+    return { transaction, senderAuthenticator };
+};
+
+// Helper: Co-sign a fee payer transaction as the backend sponsor, reserving its worst-case gas.
+// Returns {} for regular transactions and { rejection: { status, body } } when sponsorship is refused.
+const sponsorTransaction = (aptos, transaction, networkKey) => {
+    if (!transaction.feePayerAddress) {
+        return {};
+    }
+
+    const sponsor = getSponsorAccount();
+    const { feePayerAddress } = transaction;
+
+    if (!sponsor || !(feePayerAddress.equals(AccountAddress.ZERO) || feePayerAddress.equals(sponsor.accountAddress))) {
+        return { rejection: { status: 400, body: errorBody('FEE_PAYER_MISMATCH', 'Fee payer is not the backend sponsor') } };
+    }
+
+    const rejected = (reason) => ({
+        rejection: {
+            status: 403,
+            body: errorBody('SPONSORSHIP_REJECTED', 'Transaction not eligible for sponsorship', { details: reason }),
+        },
+    });
+
+    const policy = checkSponsorPolicy(transaction, { moduleAddress: moduleAddressFor(networkKey) });
+    if (!policy.allowed) {
+        return rejected(policy.reason);
+    }
+
+    const { reservation, reason } = reserveSponsoredGas(transaction);
+    if (!reservation) {
+        return rejected(reason);
+    }
+
+    return {
+        reservation,
+        feePayerAuthenticator: aptos.transaction.signAsFeePayer({ signer: sponsor, transaction }),
+    };
+};
+
+// Submissions nobody waited to see committed (waitForCommit=false, or the wait failed), by hash. The first
+// time one is seen committed, by the background wait below or by GET /transaction/:hash, its sponsor
+// reservation is settled to the real gas cost and the cached answers it made stale are dropped.
+const uncommittedSubmissions = new Map();
+
+// How long after its expiration a submission is still tracked, and the longest background wait
+const SUBMISSION_GRACE_MS = 60 * 1000;
+const SUBMISSION_MAX_WAIT_SECS = 10 * 60;
+
+// Helper: Settle a tracked submission from its executed transaction; untracked or already settled ones are skipped
+const settleSubmission = async (networkKey, executedTxn) => {
+    const submission = uncommittedSubmissions.get(executedTxn.hash);
+    if (!submission || submission.networkKey !== networkKey) return;
+    uncommittedSubmissions.delete(executedTxn.hash);
+
+    if (submission.reservation) {
+        settleSponsoredGas(submission.reservation, gasFee(executedTxn));
+    }
+    await invalidateForTransaction(networkKey, executedTxn);
+};
+
+// Helper: Track a submitted transaction and wait for it in the background (a serverless instance may be
+// frozen before that ends; polling /transaction/:hash settles it then). Entries past their transaction's
+// expiration are dropped with the reservation kept at worst case, since the outcome was never seen.
+const trackSubmission = (aptos, networkKey, { hash, transaction, reservation }) => {
+    const now = Date.now();
+    for (const [key, submission] of uncommittedSubmissions) {
+        if (submission.expiresAt < now) uncommittedSubmissions.delete(key);
     }
-    return DEFAULT_NETWORK;
+
+    const expiresAt = Number(transaction.rawTransaction.expiration_timestamp_secs) * 1000 + SUBMISSION_GRACE_MS;
+    uncommittedSubmissions.set(hash, { networkKey, reservation, expiresAt });
+
+    const timeoutSecs = Math.min(SUBMISSION_MAX_WAIT_SECS, Math.max(20, Math.ceil((expiresAt - now) / 1000)));
+    aptos.waitForTransaction({ transactionHash: hash, options: { timeoutSecs } })
+        .then((executedTxn) => settleSubmission(networkKey, executedTxn))
+        .catch((error) => console.warn(`Background wait for ${hash} failed, left to /transaction/:hash:`, error.message));
 };
 
 // ======================================
 // 1️⃣ Generate hash (Generic Transaction Builder)
 // ======================================
-app.post('/generate-hash', async (req, res) => {
-    const { sender, function: func, typeArguments, functionArguments, network: networkInput } = req.body;
+app.post('/generate-hash', rateLimit('transactions'), validate(schemas.generateHash), async (req, res) => {
+    const { sender, function: func, typeArguments, functionArguments, sponsored, network: networkInput } = req.valid.body;
 
-    if (!sender || !func || !Array.isArray(functionArguments)) {
-        return res.status(400).json({
-            error: 'Missing required fields: sender, function, or functionArguments',
-        });
+    const sponsor = sponsored ? getSponsorAccount() : null;
+    if (sponsored && !sponsor) {
+        return sendError(res, 400, 'SPONSORSHIP_UNAVAILABLE', 'Sponsored transactions are not available');
     }
 
     try {
         const networkKey = resolveNetwork(networkInput);
         const aptos = getAptosClient(networkKey);
-        const senderAddress = AccountAddress.from(sender);
 
         // Build generic Move transaction
-        const rawTxn = await aptos.transaction.build.simple({
-            sender: senderAddress,
-            data: {
-                function: func,
-                typeArguments: typeArguments || [],
-                functionArguments,
-            },
-        });
+        const rawTxn = await buildEntryFunctionTransaction(aptos, { sender, func, typeArguments, functionArguments, sponsor });
 
-        // Generate hash for Privy signing
-        const message = generateSigningMessageForTransaction(rawTxn);
-        const hash = toHex(message);
+        if (sponsor) {
+            const policy = checkSponsorPolicy(rawTxn, { moduleAddress: moduleAddressFor(networkKey) });
+            if (!policy.allowed) {
+                return sendError(res, 403, 'SPONSORSHIP_REJECTED', 'Transaction not eligible for sponsorship', { details: policy.reason });
+            }
+        }
 
-        const rawTxnHex = rawTxn.bcsToHex().toString();
+        // Generate hash for Privy signing
+        const { hash, rawTxnHex } = signingPayload(rawTxn);
 
         res.json({
             success: true,
             hash,
             rawTxnHex: rawTxnHex,
+            feePayerAddress: sponsor ? sponsor.accountAddress.toString() : undefined,
         });
     } catch (error) {
         console.error('Error generating signing hash:', error);
-        res.status(500).json({ error: 'Failed to generate signing hash' });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to generate signing hash');
     }
 });
 
 // ======================================
-// 2️⃣ Submit signed transaction
+// 1b) Simulate transaction before signing
 // ======================================
-app.post('/submit-transaction', async (req, res) => {
-    const { rawTxnHex, publicKey, signature, network: networkInput } = req.body;
+app.post('/simulate-transaction', rateLimit('transactions'), validate(schemas.simulateTransaction), async (req, res) => {
+    const { sender, function: func, typeArguments, functionArguments, publicKey, authenticator, sponsored, network: networkInput } = req.valid.body;
 
-    if (!rawTxnHex || !publicKey || !signature) {
-        return res.status(400).json({ error: 'Missing rawTxnHex, publicKey, or signature' });
+    if (!(publicKey || authenticator)) {
+        return sendError(res, 400, 'MISSING_FIELD', 'Missing publicKey or authenticator');
     }
 
-    // Process the public key to ensure it's in the correct format
-    let processedPublicKey = publicKey;
+    // Only the public key matters for simulation; signatures are ignored
+    let signerPublicKey;
+    try {
+        signerPublicKey = parseAuthenticatorPublicKey(authenticatorPayloadFrom({ authenticator, publicKey }));
+    } catch (error) {
+        return sendError(res, 400, 'INVALID_AUTHENTICATOR', 'Invalid publicKey', { details: error.message });
+    }
+
+    const sponsor = sponsored ? getSponsorAccount() : null;
+    if (sponsored && !sponsor) {
+        return sendError(res, 400, 'SPONSORSHIP_UNAVAILABLE', 'Sponsored transactions are not available');
+    }
+
+    try {
+        const networkKey = resolveNetwork(networkInput);
+        const aptos = getAptosClient(networkKey);
+
+        const rawTxn = await buildEntryFunctionTransaction(aptos, { sender, func, typeArguments, functionArguments, sponsor });
+
+        const [simulatedTxn] = await aptos.transaction.simulate.simple({
+            signerPublicKey,
+            feePayerPublicKey: sponsor ? sponsor.publicKey : undefined,
+            transaction: rawTxn,
+            options: {
+                estimateGasUnitPrice: true,
+                estimateMaxGasAmount: true,
+            },
+        });
 
-    // Remove 0x prefix if present
-    if (processedPublicKey.toLowerCase().startsWith('0x')) {
-        processedPublicKey = processedPublicKey.slice(2);
+        res.json({
+            success: simulatedTxn.success,
+            vmStatus: simulatedTxn.vm_status,
+            gasUsed: simulatedTxn.gas_used,
+            gasUnitPrice: simulatedTxn.gas_unit_price,
+            maxGasAmount: simulatedTxn.max_gas_amount,
+            gasFee: gasFee(simulatedTxn),
+            balanceChanges: summarizeBalanceChanges(simulatedTxn),
+            events: formatEvents(simulatedTxn.events),
+            failure: decodeVmStatus(simulatedTxn.vm_status, { moduleAddress: moduleAddressFor(networkKey) }),
+        });
+    } catch (error) {
+        console.error('Error simulating transaction:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to simulate transaction', { details: error.message });
     }
+});
+
+// ======================================
+// 1c) Generate batch of signing hashes
+// ======================================
+app.post('/generate-batch-hash', rateLimit('transactions'), validate(schemas.generateBatchHash), async (req, res) => {
+    const { sender, transactions, sponsored, orderless, network: networkInput } = req.valid.body;
 
-    // Remove leading zeros if present (sometimes keys have 00 prefix)
-    if (processedPublicKey.length === 66 && processedPublicKey.startsWith('00')) {
-        processedPublicKey = processedPublicKey.substring(2);
+    if (sponsored && orderless) {
+        return sendError(res, 400, 'INVALID_FIELD', 'Orderless transactions cannot be sponsored');
     }
 
-    // Ensure we have exactly 64 characters (32 bytes in hex)
-    if (processedPublicKey.length !== 64) {
-        throw new Error(`Invalid public key length: expected 64 characters, got ${processedPublicKey.length}. Key: ${processedPublicKey}`);
+    const sponsor = sponsored ? getSponsorAccount() : null;
+    if (sponsored && !sponsor) {
+        return sendError(res, 400, 'SPONSORSHIP_UNAVAILABLE', 'Sponsored transactions are not available');
     }
 
     try {
         const networkKey = resolveNetwork(networkInput);
         const aptos = getAptosClient(networkKey);
-        const senderAuthenticator = new AccountAuthenticatorEd25519(
-            new Ed25519PublicKey(processedPublicKey),
-            new Ed25519Signature(signature)
-        );
+        // Allocate consecutive sequence numbers up front so every hash can be signed at once
+        let sequenceNumber = 0n;
+        if (!orderless) {
+            try {
+                const info = await aptos.getAccountInfo({ accountAddress: sender });
+                sequenceNumber = BigInt(info.sequence_number);
+            } catch (error) {
+                // New accounts (e.g. sponsored onboarding) don't exist on chain yet
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+        }
 
-        const backendRawTxn = SimpleTransaction.deserialize(new Deserializer(Hex.fromHexInput(rawTxnHex).toUint8Array()));
+        const built = [];
+        for (const [index, txn] of transactions.entries()) {
+            const options = orderless
+                ? {
+                    replayProtectionNonce: crypto.randomBytes(8).readBigUInt64BE(),
+                    expireTimestamp: Math.floor(Date.now() / 1000) + 60,
+                }
+                : { accountSequenceNumber: sequenceNumber + BigInt(index) };
+
+            const rawTxn = await buildEntryFunctionTransaction(aptos, {
+                sender,
+                func: txn.function,
+                typeArguments: txn.typeArguments,
+                functionArguments: txn.functionArguments,
+                sponsor,
+                options,
+            });
 
-        const pendingTxn = await aptos.transaction.submit.simple({
-            transaction: backendRawTxn,
-            senderAuthenticator: senderAuthenticator,
+            if (sponsor) {
+                const policy = checkSponsorPolicy(rawTxn, { moduleAddress: moduleAddressFor(networkKey) });
+                if (!policy.allowed) {
+                    return sendError(res, 403, 'SPONSORSHIP_REJECTED', 'Transaction not eligible for sponsorship', {
+                        details: policy.reason,
+                        index,
+                    });
+                }
+            }
+
+            built.push({
+                index,
+                ...signingPayload(rawTxn),
+                sequenceNumber: orderless ? null : rawTxn.rawTransaction.sequence_number.toString(),
+            });
+        }
+
+        res.json({
+            success: true,
+            transactions: built,
+            feePayerAddress: sponsor ? sponsor.accountAddress.toString() : undefined,
         });
+    } catch (error) {
+        console.error('Error generating batch signing hashes:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to generate batch signing hashes', { details: error.message });
+    }
+});
+
+// ======================================
+// 2️⃣ Submit signed transaction
+// ======================================
+app.post('/submit-transaction', rateLimit('transactions'), validate(schemas.submitTransaction), async (req, res) => {
+    const { waitForCommit, network: networkInput } = req.valid.body;
+    const networkKey = resolveNetwork(networkInput);
+
+    const signed = parseSignedTransaction(req.valid.body, networkKey);
+    if (signed.error) {
+        return res.status(400).json(signed);
+    }
+
+    let sponsorship = {};
+    let pendingTxn = null;
+
+    try {
+        const aptos = getAptosClient(networkKey);
+
+        // Fee payer transaction: co-sign as sponsor if the policy allows it
+        sponsorship = sponsorTransaction(aptos, signed.transaction, networkKey);
+        if (sponsorship.rejection) {
+            return res.status(sponsorship.rejection.status).json(sponsorship.rejection.body);
+        }
+
+        pendingTxn = await aptos.transaction.submit.simple({
+            transaction: signed.transaction,
+            senderAuthenticator: signed.senderAuthenticator,
+            feePayerAuthenticator: sponsorship.feePayerAuthenticator,
+        });
+
+        // Async mode: return the pending hash and let the client poll /transaction/:hash.
+        // The sponsor reservation and cache are settled when the transaction is first seen committed.
+        if (!waitForCommit) {
+            trackSubmission(aptos, networkKey, { hash: pendingTxn.hash, transaction: signed.transaction, reservation: sponsorship.reservation });
+            return res.status(202).json({
+                success: true,
+                pending: true,
+                transactionHash: pendingTxn.hash,
+                sponsored: Boolean(sponsorship.feePayerAuthenticator),
+            });
+        }
 
         const executedTxn = await aptos.waitForTransaction({ transactionHash: pendingTxn.hash });
 
+        if (sponsorship.reservation) {
+            settleSponsoredGas(sponsorship.reservation, gasFee(executedTxn));
+            sponsorship.reservation = null;
+        }
+
+        // Balances, account info and transfers it touched are stale now (failed transactions still pay gas)
+        await invalidateForTransaction(networkKey, executedTxn);
+
         res.json({
             success: executedTxn.success,
             transactionHash: executedTxn.hash,
             vmStatus: executedTxn.vm_status,
+            sponsored: Boolean(sponsorship.feePayerAuthenticator),
+            failure: decodeVmStatus(executedTxn.vm_status, { moduleAddress: moduleAddressFor(networkKey) }),
         });
     } catch (error) {
+        // Release the reserved budget only if the node refused the transaction: once it was accepted,
+        // waiting for it may fail while it still commits and spends gas
+        if (sponsorship.reservation && !pendingTxn) {
+            settleSponsoredGas(sponsorship.reservation);
+        }
+        if (pendingTxn) {
+            trackSubmission(getAptosClient(networkKey), networkKey, {
+                hash: pendingTxn.hash,
+                transaction: signed.transaction,
+                reservation: sponsorship.reservation,
+            });
+        }
         console.error('Error submitting signed transaction:', error);
-        res.status(500).json({ error: 'Failed to submit signed transaction' });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to submit signed transaction', {
+            failure: decodeVmStatus(vmStatusFromError(error), { moduleAddress: moduleAddressFor(networkKey) }),
+        });
     }
 });
 
 // ======================================
-// 3️⃣ Faucet tokens
+// 2b) Submit signed batch
 // ======================================
-app.post('/faucet', async (req, res) => {
-    const { address, amount, network: networkInput } = req.body;
-    if (!address || !amount) {
-        return res.status(400).json({ error: 'Missing address or amount' });
+app.post('/submit-batch', rateLimit('transactions'), validate(schemas.submitBatch), async (req, res) => {
+    const { transactions, waitForCommit, network: networkInput } = req.valid.body;
+
+    const networkKey = resolveNetwork(networkInput);
+
+    const signedTransactions = transactions.map((transaction) => parseSignedTransaction(transaction, networkKey));
+    const invalidIndex = signedTransactions.findIndex((signed) => signed.error);
+    if (invalidIndex !== -1) {
+        return res.status(400).json({ ...signedTransactions[invalidIndex], index: invalidIndex });
     }
 
     try {
-        const networkKey = resolveNetwork(networkInput);
-        const networkConfig = NETWORK_CONFIGS[networkKey];
+        const aptos = getAptosClient(networkKey);
+
+        // Submit in order and stop at the first failure: later steps usually depend on earlier ones,
+        // and a gap in sequence numbers would leave them parked in the mempool anyway
+        const results = [];
+        const submitted = [];
+        let halted = false;
+
+        for (const [index, signed] of signedTransactions.entries()) {
+            if (halted) {
+                results.push({ index, status: 'skipped' });
+                continue;
+            }
+
+            const sponsorship = sponsorTransaction(aptos, signed.transaction, networkKey);
+            if (sponsorship.rejection) {
+                results.push({ index, status: 'rejected', ...sponsorship.rejection.body });
+                halted = true;
+                continue;
+            }
+
+            try {
+                const pendingTxn = await aptos.transaction.submit.simple({
+                    transaction: signed.transaction,
+                    senderAuthenticator: signed.senderAuthenticator,
+                    feePayerAuthenticator: sponsorship.feePayerAuthenticator,
+                });
+
+                const result = {
+                    index,
+                    status: 'pending',
+                    transactionHash: pendingTxn.hash,
+                    sponsored: Boolean(sponsorship.feePayerAuthenticator),
+                };
+                results.push(result);
+                submitted.push({ result, transaction: signed.transaction, reservation: sponsorship.reservation });
+            } catch (error) {
+                if (sponsorship.reservation) {
+                    settleSponsoredGas(sponsorship.reservation);
+                }
+                console.error(`Error submitting batch transaction ${index}:`, error);
+                results.push({
+                    index,
+                    status: 'failed',
+                    error: 'Failed to submit signed transaction',
+                    code: 'INTERNAL_ERROR',
+                    failure: decodeVmStatus(vmStatusFromError(error), { moduleAddress: moduleAddressFor(networkKey) }),
+                });
+                halted = true;
+            }
+        }
+
+        if (!waitForCommit) {
+            for (const { result, transaction, reservation } of submitted) {
+                trackSubmission(aptos, networkKey, { hash: result.transactionHash, transaction, reservation });
+            }
+            return res.status(202).json({ success: !halted, pending: true, results });
+        }
+
+        for (const { result, transaction, reservation } of submitted) {
+            try {
+                const executedTxn = await aptos.waitForTransaction({ transactionHash: result.transactionHash });
+                if (reservation) {
+                    settleSponsoredGas(reservation, gasFee(executedTxn));
+                }
+                await invalidateForTransaction(networkKey, executedTxn);
+
+                result.status = executedTxn.success ? 'committed' : 'failed';
+                result.vmStatus = executedTxn.vm_status;
+                result.failure = decodeVmStatus(executedTxn.vm_status, { moduleAddress: moduleAddressFor(networkKey) });
+            } catch (error) {
+                // Leave it as pending, with its sponsor reservation held: it may still commit.
+                // The client can poll /transaction/:hash
+                console.error(`Error waiting for batch transaction ${result.index}:`, error);
+                trackSubmission(aptos, networkKey, { hash: result.transactionHash, transaction, reservation });
+            }
+        }
+
+        res.json({
+            success: results.every((result) => result.status === 'committed'),
+            results,
+        });
+    } catch (error) {
+        console.error('Error submitting signed batch:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to submit signed batch');
+    }
+});
 
-        if (!networkConfig.faucetUrl) {
-            return res.status(400).json({ error: 'Faucet is not available on the selected network' });
+// ======================================
+// 2c) Transaction status
+// ======================================
+app.get('/transaction/:hash', validate(schemas.transactionStatus), async (req, res) => {
+    const { hash } = req.valid.params;
+    const networkKey = resolveNetwork(req.valid.query.network);
+
+    try {
+        const aptos = getAptosClient(networkKey);
+        const txn = await aptos.getTransactionByHash({ transactionHash: hash });
+
+        if (txn.type === 'pending_transaction') {
+            return res.json({ status: 'pending', transactionHash: txn.hash });
         }
 
-        const response = await fetch(`${networkConfig.faucetUrl}?amount=${amount}&address=${address}`, {
+        // First sight of a transaction submitted without waiting: settle its sponsorship and cache
+        await settleSubmission(networkKey, txn);
+
+        res.json({
+            status: txn.success ? 'committed' : 'failed',
+            transactionHash: txn.hash,
+            version: txn.version,
+            success: txn.success,
+            vmStatus: txn.vm_status,
+            gasUsed: txn.gas_used,
+            gasUnitPrice: txn.gas_unit_price,
+            gasFee: gasFee(txn),
+            timestamp: txn.timestamp,
+            events: formatEvents(txn.events),
+            failure: decodeVmStatus(txn.vm_status, { moduleAddress: moduleAddressFor(networkKey) }),
+        });
+    } catch (error) {
+        if (error.status === 404) {
+            return sendError(res, 404, 'TRANSACTION_NOT_FOUND', 'Transaction not found', { transactionHash: hash });
+        }
+        console.error('Error fetching transaction status:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch transaction status', { details: error.message });
+    }
+});
+
+// ======================================
+// 2d) Sponsorship status
+// ======================================
+app.get('/sponsor', validate(schemas.sponsorStatus), (req, res) => {
+    res.json(getSponsorStatus(req.valid.query.address?.toString()));
+});
+
+// ======================================
+// 3️⃣ Faucet tokens
+// ======================================
+app.post('/faucet', rateLimit('faucet'), validate(schemas.faucet), async (req, res) => {
+    const { amount, network: networkInput } = req.valid.body;
+    const accountAddress = req.valid.body.address.toString();
+
+    const networkKey = resolveNetwork(networkInput);
+    const networkConfig = NETWORK_CONFIGS[networkKey];
+
+    if (!networkConfig.faucetUrl) {
+        return sendError(res, 400, 'FAUCET_UNAVAILABLE', 'Faucet is not available on the selected network');
+    }
+
+    const reservation = reserveFaucetGrant({ network: networkKey, address: accountAddress, ip: req.ip, amount });
+    if (reservation.rejection) {
+        const { status, retryAfter, body } = reservation.rejection;
+        if (retryAfter) res.set('Retry-After', String(retryAfter));
+        return res.status(status).json(body);
+    }
+
+    const { grant } = reservation;
+    try {
+        const query = new URLSearchParams({ amount: amount.toString(), address: accountAddress });
+        const response = await fetch(`${networkConfig.faucetUrl}?${query}`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
         });
@@ -215,171 +745,388 @@ app.post('/faucet', async (req, res) => {
         }
 
         const data = await response.json();
-        res.json({ success: true, data });
+        const transactionHashes = Array.isArray(data) ? data : data?.txn_hashes || [];
+        settleFaucetGrant(grant.id, { status: 'granted', transactionHashes });
+
+        res.json({ success: true, data, grantId: grant.id });
     } catch (error) {
+        settleFaucetGrant(grant.id, { status: 'failed', reason: error.message });
         console.error('Error requesting faucet tokens:', error);
-        res.status(500).json({ error: 'Failed to request faucet tokens' });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to request faucet tokens');
     }
 });
 
+// ======================================
+// 3b) Faucet ledger (admin)
+// ======================================
+// GET /admin/faucet/grants?network&address&ip&status&since&offset&limit
+app.get('/admin/faucet/grants', validate(schemas.faucetGrants), (req, res) => {
+    const { network, ip, status, since, offset, limit } = req.valid.query;
+    const address = req.valid.query.address?.toString();
+
+    res.json({
+        success: true,
+        grants: listFaucetGrants({ network, address, ip, status, since, offset, limit }),
+        budgets: Object.keys(NETWORK_CONFIGS)
+            .filter((networkKey) => NETWORK_CONFIGS[networkKey].faucetUrl)
+            .map(getFaucetStatus),
+        offset,
+        limit,
+    });
+});
+
+// ======================================
+// 3c) API client usage (admin)
+// ======================================
+// GET /admin/clients/usage?clientId&days
+app.get('/admin/clients/usage', validate(schemas.clientUsage), (req, res) => {
+    const { clientId, days } = req.valid.query;
+    res.json({ success: true, days, usage: listClientUsage({ clientId, days }) });
+});
+
 // ======================================
 // 4️⃣ Get MOVE balance
 // ======================================
-app.get('/balance/:address', async (req, res) => {
-    const { address } = req.params;
-    const networkKey = resolveNetwork(req.query.network);
+
+// MOVE uses 8 decimals on both networks
+const MOVE_DECIMALS = 8;
+const MOVE_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+
+// Helper: ?format=decimal (or ?formatted=true) asks for decimal-formatted amounts
+const wantsFormatted = (query) => query.format === 'decimal' || query.formatted;
+
+app.get('/balance/:address', validate(schemas.balance), cacheResponse('balance'), async (req, res) => {
+    const { address: accountAddress } = req.valid.params;
+    const networkKey = resolveNetwork(req.valid.query.network);
     try {
         const aptos = getAptosClient(networkKey);
-        const accountAddress = AccountAddress.from(address);
         const balance = await aptos.getAccountAPTAmount({ accountAddress });
-        res.json({ balance });
+
+        if (!wantsFormatted(req.valid.query)) {
+            return res.json({ balance });
+        }
+
+        res.json({
+            balance,
+            formatted: formatAmount(balance, MOVE_DECIMALS),
+            decimals: MOVE_DECIMALS,
+            symbol: 'MOVE',
+        });
     } catch (error) {
         console.error('Error fetching balance:', error);
-        res.status(500).json({ error: 'Failed to fetch balance' });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch balance');
     }
 });
 
 // ======================================
-// 4b) Get Fungible Asset balance
+// 4b) Get Fungible Asset balance(s)
 // ======================================
-app.get('/fa-balance/:owner/:asset', async (req, res) => {
-    const { owner, asset } = req.params;
-    const networkKey = resolveNetwork(req.query.network);
-    console.log(`FA Balance request: owner=${owner}, asset=${asset}, network=${networkKey}`);
+
+// Helper: primary store balance of one FA, optionally with formatted amount and metadata
+const fetchFaBalance = async (aptos, { networkKey, ownerAddr, assetAddr, formatted }) => {
+    const payload = {
+        function: '0x1::primary_fungible_store::balance',
+        typeArguments: ['0x1::fungible_asset::Metadata'],
+        functionArguments: [ownerAddr, assetAddr],
+    };
+
+    const balanceRes = await aptos.view({ payload });
+    const balance = balanceRes && balanceRes.length > 0 ? balanceRes[0].toString() : "0";
+
+    if (!formatted) {
+        return { asset: assetAddr, balance };
+    }
+
+    const metadata = await getAssetMetadata(aptos, { networkKey, metadataAddress: assetAddr });
+    return {
+        asset: assetAddr,
+        balance,
+        formatted: formatAmount(balance, metadata.decimals),
+        decimals: metadata.decimals,
+        symbol: metadata.symbol,
+        name: metadata.name,
+    };
+};
+
+// :asset may be a single metadata address or a comma-separated list (normalized by the schema)
+app.get('/fa-balance/:owner/:asset', validate(schemas.faBalance), cacheResponse('faBalance'), async (req, res) => {
+    const ownerAddr = req.valid.params.owner.toString();
+    const assetAddrs = req.valid.params.asset;
+    const networkKey = resolveNetwork(req.valid.query.network);
+    const formatted = wantsFormatted(req.valid.query);
+    console.log(`FA Balance request: owner=${ownerAddr}, asset=${assetAddrs.join(',')}, network=${networkKey}`);
 
     try {
         const aptos = getAptosClient(networkKey);
 
-        // Normalize addresses strictly using the SDK
-        const ownerAddr = AccountAddress.from(owner).toString();
-        const assetAddr = AccountAddress.from(asset).toString();
+        if (assetAddrs.length === 1) {
+            const result = await fetchFaBalance(aptos, {
+                networkKey, ownerAddr, assetAddr: assetAddrs[0], formatted,
+            });
+            console.log(`FA Balance result: ${result.balance}`);
+            return res.json(result);
+        }
 
-        console.log(`Querying balance for owner: ${ownerAddr} and asset: ${assetAddr}`);
+        const results = await Promise.allSettled(assetAddrs.map((assetAddr) =>
+            fetchFaBalance(aptos, { networkKey, ownerAddr, assetAddr, formatted })
+        ));
 
-        const payload = {
-            function: "0x1::primary_fungible_store::balance",
-            typeArguments: ["0x1::fungible_asset::Metadata"],
-            type_arguments: ["0x1::fungible_asset::Metadata"], // Redundant key for compatibility
-            functionArguments: [ownerAddr, assetAddr],
-            arguments: [ownerAddr, assetAddr], // Redundant key for compatibility
-        };
+        const balances = results.map((result, i) => result.status === 'fulfilled'
+            ? result.value
+            : { asset: assetAddrs[i], ...errorBody('INTERNAL_ERROR', 'Failed to fetch FA balance', { details: result.reason?.message }) });
 
-        console.log('Sending view payload:', JSON.stringify(payload, null, 2));
+        res.json({ owner: ownerAddr, balances });
+    } catch (error) {
+        console.error('Error fetching FA balance details:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch FA balance', { details: error.message });
+    }
+});
 
-        const balanceRes = await aptos.view({ payload });
+// ======================================
+// 4c) Get Fungible Asset metadata
+// ======================================
+app.get('/fa-metadata/:asset', validate(schemas.faMetadata), async (req, res) => {
+    const networkKey = resolveNetwork(req.valid.query.network);
+    const metadataAddress = req.valid.params.asset.toString();
 
-        const balance = balanceRes && balanceRes.length > 0 ? balanceRes[0].toString() : "0";
-        console.log(`FA Balance result: ${balance}`);
-        res.json({ balance });
+    try {
+        const aptos = getAptosClient(networkKey);
+        const metadata = await getAssetMetadata(aptos, { networkKey, metadataAddress });
+        res.json({ success: true, metadata });
     } catch (error) {
-        console.error('Error fetching FA balance details:', error);
-        res.status(500).json({ error: 'Failed to fetch FA balance', details: error.message });
+        if (error?.status === 404) {
+            return sendError(res, 404, 'ASSET_NOT_FOUND', 'Fungible asset metadata not found', { details: metadataAddress });
+        }
+        console.error('Error fetching FA metadata:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch FA metadata', { details: error.message });
     }
 });
 
 // ======================================
 // 5️⃣ Get account info
 // ======================================
-app.get('/account-info/:address', async (req, res) => {
-    const { address } = req.params;
-    const networkKey = resolveNetwork(req.query.network);
+app.get('/account-info/:address', validate(schemas.accountInfo), cacheResponse('accountInfo'), async (req, res) => {
+    const { address: accountAddress } = req.valid.params;
+    const networkKey = resolveNetwork(req.valid.query.network);
+    try {
+        const aptos = getAptosClient(networkKey);
+        const info = await aptos.getAccountInfo({ accountAddress });
+        res.json(info);
+    } catch (error) {
+        console.error('Error fetching account info:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch account info');
+    }
+});
+
+// ======================================
+// 5b) Account activity feed
+// ======================================
+
+app.get('/activity/:address', validate(schemas.activity), async (req, res) => {
+    const { address: accountAddress } = req.valid.params;
+    const { offset, limit } = req.valid.query;
+    const networkKey = resolveNetwork(req.valid.query.network);
+
+    try {
+        const aptos = getAptosClient(networkKey);
+        const networkConfig = NETWORK_CONFIGS[networkKey];
+
+        let page;
+        try {
+            page = await listAccountTransactions(aptos, {
+                address: accountAddress,
+                offset,
+                limit,
+                useIndexer: Boolean(networkConfig.indexerUrl),
+            });
+        } catch (indexerError) {
+            if (!networkConfig.indexerUrl) throw indexerError;
+            console.warn('Indexer activity lookup failed, using sent transactions only:', indexerError.message);
+            page = await listAccountTransactions(aptos, { address: accountAddress, offset, limit, useIndexer: false });
+        }
+
+        const activity = await Promise.all(page.transactions.map((txn) => describeActivity(aptos, txn, {
+            networkKey,
+            account: accountAddress,
+            moduleAddress: moduleAddressFor(networkKey),
+            faucetAccounts: networkConfig.faucetAccounts,
+        })));
+
+        res.json({
+            success: true,
+            address: accountAddress.toString(),
+            network: networkKey,
+            activity,
+            offset,
+            limit,
+            hasMore: page.hasMore,
+            source: page.source,
+            // Sent transactions only: incoming transfers need an indexer
+            incomplete: page.incomplete,
+            notice: page.incomplete
+                ? { code: 'INDEXER_REQUIRED', message: 'Only transactions this account sent are listed; incoming transfers need an indexer for this network' }
+                : null,
+        });
+    } catch (error) {
+        console.error('Error fetching account activity:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch account activity', { details: error.message });
+    }
+});
+
+// ======================================
+// 5c) Generic view call
+// ======================================
+
+// Any #[view] function on the allowlist; arguments are checked and coerced against the module ABI
+app.post('/view', validate(schemas.view), async (req, res) => {
+    const { function: functionId, typeArguments, functionArguments, ledgerVersion } = req.valid.body;
+    const networkKey = resolveNetwork(req.valid.body.network);
+
     try {
         const aptos = getAptosClient(networkKey);
-        const accountAddress = AccountAddress.from(address);
-        const info = await aptos.getAccountInfo({ accountAddress });
-        res.json(info);
+        const prepared = await prepareViewCall(aptos, {
+            networkKey,
+            moduleAddress: moduleAddressFor(networkKey),
+            functionId,
+            typeArguments,
+            functionArguments,
+        });
+        if (prepared.rejection) {
+            return res.status(prepared.rejection.status).json(prepared.rejection.body);
+        }
+
+        let values;
+        try {
+            values = await aptos.viewJson({
+                payload: prepared.payload,
+                options: ledgerVersion !== undefined ? { ledgerVersion } : undefined,
+            });
+        } catch (viewError) {
+            // The node answers 400 when the function aborts or the arguments don't deserialize
+            if (viewError.status !== 400) throw viewError;
+            return sendError(res, 400, 'VIEW_FAILED', 'View function failed', {
+                details: vmStatusFromError(viewError),
+                failure: decodeVmStatus(vmStatusFromError(viewError), { moduleAddress: moduleAddressFor(networkKey) }),
+            });
+        }
+
+        res.json({
+            success: true,
+            network: networkKey,
+            function: prepared.payload.function,
+            result: values.map((value, i) => decodeResult(prepared.returnTypes[i], value)),
+            types: prepared.returnTypes,
+        });
     } catch (error) {
-        console.error('Error fetching account info:', error);
-        res.status(500).json({ error: 'Failed to fetch account info' });
+        console.error('Error calling view function:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to call view function', { details: error.message });
     }
 });
 
 // ======================================
 // 6️⃣ View transfer details
 // ======================================
-const MODULE_ADDRESS = '0xfcd381dce435315523c7a0940729b3ff40ef9d5b0f206f214e8685f8bca2ca9c';
+// Helper: Look up a transfer in the local sendmove index (fallback when view times out,
+// and the only record of transfers that were already claimed or refunded). Only reads the index:
+// catching up is left to the background tailer or /cron/indexer, so unknown codes never cost chain calls.
+function queryTransferFromIndex(code, networkKey) {
+    if (!SENDMOVE_INDEX_ENABLED) {
+        return { found: false };
+    }
 
-// Helper: Query transfer by scanning recent events (fallback when view times out)
-async function queryTransferFromEvents(code, aptos) {
     try {
-        console.log('Fallback: Querying transfer from events...');
-        // Query account events for both MOVE and FA transfer creation
-        const [moveEvents, faEvents] = await Promise.all([
-            aptos.getAccountEventsByEventType({
-                accountAddress: MODULE_ADDRESS,
-                eventType: `${MODULE_ADDRESS}::sendmove::TransferCreatedEvent`,
-            }),
-            aptos.getAccountEventsByEventType({
-                accountAddress: MODULE_ADDRESS,
-                eventType: `${MODULE_ADDRESS}::sendmove::FATransferCreatedEvent`,
-            })
-        ]);
-
-        const events = [...moveEvents, ...faEvents];
-
-        // Find event with matching code
-        const matchingEvent = events.find(event => event.data?.code === code);
-
-        if (matchingEvent) {
-            console.log('Found transfer in events:', matchingEvent.data);
-            return {
-                found: true,
-                type: matchingEvent.data.is_fa ? 'fa' : 'move',
-                sender: matchingEvent.data.sender,
-                amount: matchingEvent.data.amount,
-                assetMetadata: matchingEvent.data.asset_metadata,
-                createdAt: Math.floor(Date.now() / 1000), // Approximate
-                expiration: matchingEvent.data.expiration || Math.floor(Date.now() / 1000) + 86400,
-                isClaimable: true, // Assume claimable if found in events
-            };
+        console.log('Fallback: Querying transfer from local index...');
+        const record = findIndexedTransfer(networkKey, code.toLowerCase().replace(/^0x/, ''));
+        if (!record) {
+            return { found: false };
         }
 
-        return { found: false };
+        const now = Math.floor(Date.now() / 1000);
+        const isClaimable = record.status === 'pending' && record.expiration > now;
+
+        return {
+            found: true,
+            type: record.type,
+            sender: record.sender,
+            amount: record.amount,
+            assetMetadata: record.assetMetadata,
+            createdAt: record.createdAt,
+            expiration: record.expiration,
+            isClaimable,
+            status: record.status === 'pending' && !isClaimable ? 'expired' : record.status,
+            settledBy: record.settledBy,
+            settledAt: record.settledAt,
+        };
     } catch (error) {
-        console.error('Error querying events:', error.message);
+        console.error('Error querying local index:', error.message);
         return { found: false };
     }
 }
 
-app.post('/view-transfer', async (req, res) => {
-    const { code, network: networkInput } = req.body;
+// Helper: /view-transfer response for a transfer found in the local index
+const indexedTransferResponse = (result) => ({
+    type: result.type,
+    sender: result.sender?.toString() || '',
+    amount: result.amount?.toString() || '0',
+    assetMetadata: result.assetMetadata?.toString() || null,
+    createdAt: result.createdAt?.toString() || '0',
+    expiration: result.expiration?.toString() || '0',
+    isClaimable: result.isClaimable,
+    status: result.status,
+    settledBy: result.settledBy || null,
+    settledAt: result.settledAt?.toString() || null,
+    source: 'index', // Indicate this came from the local event index
+});
 
-    console.log('View transfer request:', { code, network: networkInput, codeType: typeof code });
+// Helper: Whether a MOVE or FA transfer with this code hash (unprefixed hex, as the views take it) exists on a network (for the wrong-network hint)
+const transferExistsOn = async (networkKey, code, deadline) => {
+    const aptos = getAptosClient(networkKey, { deadline });
+    const moduleAddress = moduleAddressFor(networkKey);
 
-    if (!code) {
-        return res.status(400).json({ error: 'Missing required field: code' });
+    // get_transfer returns 4 values, get_fa_transfer 5
+    for (const [view, length] of [['get_transfer', 4], ['get_fa_transfer', 5]]) {
+        try {
+            const result = await aptos.view({
+                payload: {
+                    function: `${moduleAddress}::sendmove::${view}`,
+                    functionArguments: [code],
+                },
+            });
+            if (Array.isArray(result) && result.length >= length) return true;
+        } catch (error) {
+            console.log(`${view} failed on ${networkKey}:`, error.message);
+        }
     }
+    return false;
+};
+
+app.post('/view-transfer', rateLimit('codeLookup'), validate(schemas.viewTransfer), cacheResponse('viewTransfer'), async (req, res) => {
+    const { code, network: networkInput } = req.valid.body;
+
+    console.log('View transfer request:', { code, network: networkInput });
 
     try {
         const networkKey = resolveNetwork(networkInput);
-        const aptos = getAptosClient(networkKey);
+        // One budget for every chain call below, so a slow node can't stack up a timeout per view
+        const deadline = Date.now() + VIEW_TRANSFER_DEADLINE_MS;
+        const aptos = getAptosClient(networkKey, { deadline });
+        const moduleAddress = moduleAddressFor(networkKey);
 
-        // Normalize code: Strip 0x if present (common when extracting from events)
-        const normalizedCode = code.toLowerCase().replace('0x', '');
+        // The schema returns 0x-prefixed lowercase hex; the views take it without the prefix
+        const normalizedCode = code.slice(2);
         console.log('Normalized code for lookup:', normalizedCode);
 
         // Try MOVE transfer first
         try {
             console.log('Calling get_transfer with code:', normalizedCode);
-            console.log('Starting 30-second timeout...');
 
-            // Add timeout to prevent hanging
-            const viewPromise = aptos.view({
+            // Times out (after retries on every fullnode, or at the deadline) in the RPC layer
+            const moveResult = await aptos.view({
                 payload: {
-                    function: `${MODULE_ADDRESS}::sendmove::get_transfer`,
+                    function: `${moduleAddress}::sendmove::get_transfer`,
                     functionArguments: [normalizedCode],
                 },
             });
-
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => {
-                    console.log('TIMEOUT FIRED! 30 seconds elapsed');
-                    reject(new Error('RPC timeout after 30 seconds'));
-                }, 30000);
-            });
-
-            console.log('Waiting for view or timeout...');
-            const moveResult = await Promise.race([viewPromise, timeoutPromise]);
             console.log('Got result from MOVE view function:', moveResult);
 
             if (!moveResult || !Array.isArray(moveResult) || moveResult.length < 4) {
@@ -394,7 +1141,7 @@ app.post('/view-transfer', async (req, res) => {
             try {
                 const claimableResult = await aptos.view({
                     payload: {
-                        function: `${MODULE_ADDRESS}::sendmove::is_transfer_claimable`,
+                        function: `${moduleAddress}::sendmove::is_transfer_claimable`,
                         functionArguments: [normalizedCode],
                     },
                 });
@@ -416,21 +1163,12 @@ app.post('/view-transfer', async (req, res) => {
             console.log('MOVE transfer not found, trying FA transfer:', moveError.message);
 
             // Check if it's a timeout error - if so, try events fallback immediately
-            if (moveError.message.includes('timeout')) {
-                console.log('View function timed out, trying events fallback...');
-                const eventResult = await queryTransferFromEvents(code, aptos);
-
-                if (eventResult.found) {
-                    return res.json({
-                        type: eventResult.type,
-                        sender: eventResult.sender?.toString() || '',
-                        amount: eventResult.amount?.toString() || '0',
-                        assetMetadata: eventResult.assetMetadata?.toString() || null,
-                        createdAt: eventResult.createdAt?.toString() || '0',
-                        expiration: eventResult.expiration?.toString() || '0',
-                        isClaimable: eventResult.isClaimable,
-                        source: 'events', // Indicate this came from events
-                    });
+            if (isRpcTimeout(moveError)) {
+                console.log('View function timed out, trying local index fallback...');
+                const indexResult = queryTransferFromIndex(code, networkKey);
+
+                if (indexResult.found) {
+                    return res.json(indexedTransferResponse(indexResult));
                 }
             }
 
@@ -439,7 +1177,7 @@ app.post('/view-transfer', async (req, res) => {
                 console.log('Calling get_fa_transfer with code:', code);
                 const faResult = await aptos.view({
                     payload: {
-                        function: `${MODULE_ADDRESS}::sendmove::get_fa_transfer`,
+                        function: `${moduleAddress}::sendmove::get_fa_transfer`,
                         functionArguments: [normalizedCode],
                     },
                 });
@@ -455,8 +1193,8 @@ app.post('/view-transfer', async (req, res) => {
                 try {
                     const claimableResult = await aptos.view({
                         payload: {
-                            function: `${MODULE_ADDRESS}::sendmove::is_fa_transfer_claimable`,
-                            functionArguments: [code],
+                            function: `${moduleAddress}::sendmove::is_fa_transfer_claimable`,
+                            functionArguments: [normalizedCode],
                         },
                     });
                     isClaimable = claimableResult && Array.isArray(claimableResult) ? claimableResult[0] : false;
@@ -477,118 +1215,666 @@ app.post('/view-transfer', async (req, res) => {
             } catch (faError) {
                 console.log('FA transfer also not found:', faError.message);
 
-                // Try the opposite network before giving up
-                const alternateNetwork = networkKey === 'mainnet' ? 'testnet' : 'mainnet';
-                console.log(`Transfer not found on ${networkKey}, trying ${alternateNetwork}...`);
+                // Claimed and refunded transfers are gone from chain state, but the index remembers them
+                const indexResult = queryTransferFromIndex(code, networkKey);
+                if (indexResult.found && indexResult.status !== 'pending') {
+                    return res.json(indexedTransferResponse(indexResult));
+                }
+
+                // The lookup itself ran out of time: say so rather than claiming the code doesn't exist
+                if (isRpcTimeout(faError)) {
+                    return sendError(res, 504, 'RPC_TIMEOUT', 'Transfer lookup timed out', {
+                        details: `The ${networkKey} fullnodes did not answer within ${VIEW_TRANSFER_DEADLINE_MS}ms, please try again`,
+                    });
+                }
 
-                try {
-                    const alternateAptos = getAptosClient(alternateNetwork);
-
-                    // Try MOVE on alternate network
-                    try {
-                        const alternateMoveResult = await alternateAptos.view({
-                            payload: {
-                                function: `${MODULE_ADDRESS}::sendmove::get_transfer`,
-                                functionArguments: [code],
-                            },
-                        });
+                // Try the other configured networks before giving up, while the budget lasts
+                for (const alternateNetwork of Object.keys(NETWORK_CONFIGS).filter((key) => key !== networkKey)) {
+                    if (Date.now() >= deadline) {
+                        console.log(`View transfer deadline reached, not trying ${alternateNetwork}`);
+                        break;
+                    }
+                    console.log(`Transfer not found on ${networkKey}, trying ${alternateNetwork}...`);
 
-                        if (alternateMoveResult && Array.isArray(alternateMoveResult) && alternateMoveResult.length >= 4) {
-                            console.log(`Found MOVE transfer on ${alternateNetwork}!`);
-                            return res.json({
-                                error: 'Wrong network',
-                                details: `This transfer exists on ${alternateNetwork}, but you're connected to ${networkKey}. Please switch networks in the app.`,
-                                correctNetwork: alternateNetwork,
-                            });
-                        }
-                    } catch (e) {
-                        // Try FA on alternate network
-                        try {
-                            const alternateFaResult = await alternateAptos.view({
-                                payload: {
-                                    function: `${MODULE_ADDRESS}::sendmove::get_fa_transfer`,
-                                    functionArguments: [code],
-                                },
-                            });
-
-                            if (alternateFaResult && Array.isArray(alternateFaResult) && alternateFaResult.length >= 5) {
-                                console.log(`Found FA transfer on ${alternateNetwork}!`);
-                                return res.json({
-                                    error: 'Wrong network',
-                                    details: `This transfer exists on ${alternateNetwork}, but you're connected to ${networkKey}. Please switch networks in the app.`,
-                                    correctNetwork: alternateNetwork,
-                                });
-                            }
-                        } catch (e2) {
-                            // Continue to final error
-                        }
+                    if (await transferExistsOn(alternateNetwork, normalizedCode, deadline)) {
+                        console.log(`Found transfer on ${alternateNetwork}!`);
+                        return sendError(res, 409, 'WRONG_NETWORK', 'Wrong network', {
+                            details: `This transfer exists on ${alternateNetwork}, but you're connected to ${networkKey}. Please switch networks in the app.`,
+                            correctNetwork: alternateNetwork,
+                        });
                     }
-                } catch (alternateError) {
-                    console.log('Error checking alternate network:', alternateError.message);
                 }
 
-                // Neither network worked
-                return res.status(404).json({
-                    error: 'Transfer not found',
-                    details: 'The code does not match any existing transfer on mainnet or testnet. Make sure the code is correct.',
+                // No network knows the code
+                return sendError(res, 404, 'TRANSFER_NOT_FOUND', 'Transfer not found', {
+                    details: 'The code does not match any existing transfer on the configured networks. Make sure the code is correct.',
+                    failure: decodeVmStatus(vmStatusFromError(faError), { moduleAddress: moduleAddressFor(networkKey) }),
                 });
             }
         }
     } catch (error) {
         console.error('Error viewing transfer:', error);
-        res.status(500).json({
-            error: 'Failed to view transfer',
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to view transfer', {
             details: error.message || 'Unknown error occurred',
         });
     }
 });
 
 // ======================================
-// 7️⃣ Get owned fungible asset objects
+// 6b) Send-by-code transfer lifecycle
+// ======================================
+
+// Helper: Build a sendmove entry function call and respond with its signing payload
+const respondWithSendmoveTransaction = async (res, { networkInput, action, sender, functionArguments, sponsored, extra }) => {
+    const sponsor = sponsored ? getSponsorAccount() : null;
+    if (sponsored && !sponsor) {
+        return sendError(res, 400, 'SPONSORSHIP_UNAVAILABLE', 'Sponsored transactions are not available');
+    }
+
+    try {
+        const networkKey = resolveNetwork(networkInput);
+        const aptos = getAptosClient(networkKey);
+        const func = await resolveEntryFunction(aptos, { moduleAddress: moduleAddressFor(networkKey), networkKey, action });
+
+        const rawTxn = await buildEntryFunctionTransaction(aptos, { sender, func, functionArguments, sponsor });
+
+        if (sponsor) {
+            const policy = checkSponsorPolicy(rawTxn, { moduleAddress: moduleAddressFor(networkKey) });
+            if (!policy.allowed) {
+                return sendError(res, 403, 'SPONSORSHIP_REJECTED', 'Transaction not eligible for sponsorship', { details: policy.reason });
+            }
+        }
+
+        res.json({
+            success: true,
+            function: func,
+            ...signingPayload(rawTxn),
+            feePayerAddress: sponsor ? sponsor.accountAddress.toString() : undefined,
+            ...extra,
+        });
+    } catch (error) {
+        console.error(`Error building sendmove ${action} transaction:`, error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to build transfer transaction', { details: error.message });
+    }
+};
+
+app.post('/transfers/create', rateLimit('transactions'), validate(schemas.createTransfer), async (req, res) => {
+    const { sponsored, network: networkInput, ...args } = req.valid.body;
+
+    const { code, codeHash } = generateClaimCode();
+
+    return respondWithSendmoveTransaction(res, {
+        networkInput,
+        action: 'createTransfer',
+        sender: args.sender,
+        functionArguments: [hashClaimCode(code), args.amount, args.expiresInSecs],
+        sponsored,
+        extra: {
+            type: 'move',
+            code,
+            codeHash,
+            amount: args.amount.toString(),
+            expiresInSecs: args.expiresInSecs.toString(),
+        },
+    });
+});
+
+app.post('/transfers/create-fa', rateLimit('transactions'), validate(schemas.createFaTransfer), async (req, res) => {
+    const { sponsored, network: networkInput, ...args } = req.valid.body;
+
+    const { code, codeHash } = generateClaimCode();
+
+    return respondWithSendmoveTransaction(res, {
+        networkInput,
+        action: 'createFaTransfer',
+        sender: args.sender,
+        functionArguments: [hashClaimCode(code), args.assetMetadata.toString(), args.amount, args.expiresInSecs],
+        sponsored,
+        extra: {
+            type: 'fa',
+            code,
+            codeHash,
+            assetMetadata: args.assetMetadata.toString(),
+            amount: args.amount.toString(),
+            expiresInSecs: args.expiresInSecs.toString(),
+        },
+    });
+});
+
+app.post('/transfers/claim', rateLimit('codeLookup'), validate(schemas.claimTransfer), async (req, res) => {
+    const { sponsored, network: networkInput, ...args } = req.valid.body;
+
+    const codeHash = hashClaimCode(args.code);
+
+    const networkKey = resolveNetwork(networkInput);
+
+    let transfer;
+    try {
+        transfer = await lookupTransfer(getAptosClient(networkKey), { moduleAddress: moduleAddressFor(networkKey), codeHash });
+    } catch (error) {
+        console.error('Error looking up transfer for claim:', error);
+        return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to look up transfer', { details: error.message });
+    }
+
+    if (!transfer) {
+        return sendError(res, 404, 'TRANSFER_NOT_FOUND', 'Transfer not found');
+    }
+
+    return respondWithSendmoveTransaction(res, {
+        networkInput,
+        action: transfer.type === 'fa' ? 'claimFaTransfer' : 'claimTransfer',
+        sender: args.claimer,
+        functionArguments: [new TextEncoder().encode(args.code)],
+        sponsored,
+        extra: { type: transfer.type, codeHash: `0x${codeHash.toString('hex')}` },
+    });
+});
+
+app.post('/transfers/refund', rateLimit('transactions'), validate(schemas.refundTransfer), async (req, res) => {
+    const { sender, code, codeHash, sponsored, network: networkInput } = req.valid.body;
+
+    if (!code === !codeHash) {
+        return sendError(res, 400, code ? 'INVALID_FIELD' : 'MISSING_FIELD', 'Provide exactly one of code or codeHash');
+    }
+    const args = { sender, codeHash: code ? hashClaimCode(code) : codeHash };
+
+    const networkKey = resolveNetwork(networkInput);
+
+    let transfer;
+    try {
+        transfer = await lookupTransfer(getAptosClient(networkKey), { moduleAddress: moduleAddressFor(networkKey), codeHash: args.codeHash });
+    } catch (error) {
+        console.error('Error looking up transfer for refund:', error);
+        return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to look up transfer', { details: error.message });
+    }
+
+    if (!transfer) {
+        return sendError(res, 404, 'TRANSFER_NOT_FOUND', 'Transfer not found');
+    }
+
+    if (!AccountAddress.from(transfer.sender).equals(args.sender)) {
+        return sendError(res, 403, 'NOT_TRANSFER_SENDER', 'Only the sender can reclaim this transfer');
+    }
+
+    if (transfer.expiration > Math.floor(Date.now() / 1000)) {
+        return sendError(res, 409, 'TRANSFER_NOT_EXPIRED', 'Transfer has not expired yet', {
+            expiration: transfer.expiration.toString(),
+        });
+    }
+
+    return respondWithSendmoveTransaction(res, {
+        networkInput,
+        action: transfer.type === 'fa' ? 'refundFaTransfer' : 'refundTransfer',
+        sender: args.sender,
+        functionArguments: [args.codeHash],
+        sponsored,
+        extra: { type: transfer.type, codeHash: `0x${args.codeHash.toString('hex')}` },
+    });
+});
+
+// ======================================
+// 6c) Transfer history by sender
 // ======================================
-app.get('/owned-objects/:address', async (req, res) => {
-    const { address } = req.params;
-    const networkKey = resolveNetwork(req.query.network);
+
+// Helper: Event payloads may render addresses with leading zeros trimmed
+const addressVariants = (address) => {
+    const long = address.toStringLong();
+    const trimmed = `0x${long.slice(2).replace(/^0+/, '') || '0'}`;
+    return long === trimmed ? [long] : [long, trimmed];
+};
+
+// Helper: Indexed transfers with the status the timelines use (pending past its expiration is expired)
+const indexedTransferStatuses = (transfers, now = Math.floor(Date.now() / 1000)) => transfers.map((transfer) => ({
+    ...transfer,
+    status: transfer.status === 'pending' && transfer.expiration > 0 && transfer.expiration <= now ? 'expired' : transfer.status,
+}));
+
+app.get('/transfers/by-sender/:address', validate(schemas.transfersBySender), async (req, res) => {
+    const { address: sender } = req.valid.params;
+    const { offset, limit, status, cursor } = req.valid.query;
+    const networkKey = resolveNetwork(req.valid.query.network);
+
+    if (!NETWORK_CONFIGS[networkKey].indexerUrl) {
+        return sendError(res, 503, 'INDEXER_REQUIRED', 'Transfer history requires an indexer for this network');
+    }
+    // A status filter pages by cursor: an offset into the matches would mean scanning everything before it
+    if (status ? offset > 0 : cursor !== undefined) {
+        const field = status ? 'query.offset' : 'query.cursor';
+        const message = status ? `${field} can't be used with status; pass the previous page's nextCursor` : `${field} needs status`;
+        return sendError(res, 400, 'INVALID_REQUEST', message, { fields: [{ field, code: 'INVALID_FIELD', message }] });
+    }
 
     try {
         const aptos = getAptosClient(networkKey);
-        const accountAddress = address;
+        const variants = addressVariants(sender);
+
+        const { transfers: page, hasMore, nextCursor } = await queryTransfersPage(aptos, {
+            moduleAddress: moduleAddressFor(networkKey),
+            where: { _or: variants.map((variant) => ({ data: { _contains: { sender: variant } } })) },
+            status,
+            offset,
+            limit,
+            cursor,
+        });
+
+        // Block timestamps for the events on this page, in one indexer query (null if it fails)
+        const timestamps = await queryTransactionTimestamps(
+            aptos,
+            page.flatMap((transfer) => transfer.timeline.map((entry) => entry.version)),
+        ).catch((timestampError) => {
+            console.warn('Transfer timestamps unavailable:', timestampError.message);
+            return new Map();
+        });
+        for (const transfer of page) {
+            for (const entry of transfer.timeline) {
+                entry.timestamp = timestamps.get(String(entry.version)) || null;
+            }
+        }
+
+        // Totals and the overall count come from the local index (null until it has synced this network)
+        const indexed = SENDMOVE_INDEX_ENABLED && getIndexerStatus(networkKey).transactionVersion >= 0
+            ? indexedTransferStatuses(listIndexedTransfersBySender(networkKey, variants))
+            : null;
+        const matching = indexed && (status ? indexed.filter((transfer) => transfer.status === status) : indexed);
+
+        res.json({
+            sender: sender.toString(),
+            totals: indexed ? summarizeTransferTotals(indexed) : null,
+            transfers: page,
+            pagination: {
+                offset,
+                limit,
+                total: matching ? matching.length : null,
+                nextOffset: hasMore && !status ? offset + limit : null,
+                nextCursor,
+            },
+        });
+    } catch (error) {
+        console.error('Error fetching transfers by sender:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch transfer history', { details: error.message });
+    }
+});
+
+// ======================================
+// 6d) Local sendmove index status
+// ======================================
+app.get('/indexer/status', (req, res) => {
+    const networks = Object.keys(NETWORK_CONFIGS).map((networkKey) => ({
+        ...getIndexerStatus(networkKey),
+        enabled: SENDMOVE_INDEX_ENABLED && Boolean(NETWORK_CONFIGS[networkKey].indexerUrl),
+    }));
+    res.json({ networks });
+});
 
-        // Query for objects owned by this address
-        // We need to use the indexer or scan for objects
-        // For now, use a view function to get owned objects
+// Helper: One catch-up round of the index on every network it is filled from
+const syncSendmoveIndex = () => {
+    const networks = SENDMOVE_INDEX_ENABLED ? Object.values(NETWORK_CONFIGS).filter((config) => config.indexerUrl) : [];
+    return Promise.all(networks.map(async ({ key: networkKey, moduleAddress }) => {
+        try {
+            const indexed = await syncSendmoveEvents(getAptosClient(networkKey), { networkKey, moduleAddress });
+            return { network: networkKey, indexed };
+        } catch (error) {
+            console.error(`[Indexer] ${networkKey} sync failed:`, error.message);
+            return { network: networkKey, ...errorBody('INTERNAL_ERROR', 'Sync failed', { details: error.message }) };
+        }
+    }));
+};
+
+// For deployments without the background tailer, POST /admin/indexer/sync by hand or GET /cron/indexer
+// from a scheduler (vercel.json runs it with CRON_SECRET)
+app.post('/admin/indexer/sync', async (req, res) => {
+    res.json({ success: true, networks: await syncSendmoveIndex() });
+});
+
+app.get('/cron/indexer', async (req, res) => {
+    res.json({ success: true, networks: await syncSendmoveIndex() });
+});
+
+// ======================================
+// 6e) Live notifications (Server-Sent Events)
+// ======================================
+
+const SSE_HEARTBEAT_MS = 25000;
+
+// GET /subscribe?address=0x...  or  ?code=XXXX-XXXX-XXXX  or  ?codeHash=0x...
+// network=<any configured network>|all (default: the default network)
+app.get('/subscribe', validate(schemas.subscribe), (req, res) => {
+    const { address, code, codeHash } = req.valid.query;
+    const networkKeys = req.valid.query.network === 'all'
+        ? Object.keys(NETWORK_CONFIGS)
+        : [resolveNetwork(req.valid.query.network)];
+
+    const targets = [address, code, codeHash].filter(Boolean).length;
+    if (targets !== 1) {
+        return sendError(res, 400, targets ? 'INVALID_FIELD' : 'MISSING_FIELD', 'Provide exactly one of address, code or codeHash');
+    }
+
+    const target = address
+        ? { address: address.toString() }
+        : { codeHash: `0x${(code ? hashClaimCode(code) : codeHash).toString('hex')}`, code };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const send = (event, data) => {
+        eventId += 1;
+        res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribes = [];
+    for (const networkKey of networkKeys) {
+        const unsubscribe = subscribe(getAptosClient(networkKey), {
+            networkKey,
+            moduleAddress: moduleAddressFor(networkKey),
+            useIndexer: Boolean(NETWORK_CONFIGS[networkKey].indexerUrl),
+            faucetAccounts: NETWORK_CONFIGS[networkKey].faucetAccounts,
+            ...target,
+        }, (notification) => send(notification.type, notification));
+
+        if (!unsubscribe) {
+            unsubscribes.forEach((fn) => fn());
+            send('error', errorBody('SUBSCRIPTIONS_FULL', 'Too many subscribers, try again later'));
+            return res.end();
+        }
+        unsubscribes.push(unsubscribe);
+    }
+
+    send('ready', { networks: networkKeys, ...target });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
 
-        const ownedObjects = [];
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribes.forEach((fn) => fn());
+    });
+});
+
+app.get('/subscribe/status', (req, res) => {
+    res.json(getSubscriptionStats());
+});
 
-        // Alternative: Query account resources and look for object references
-        const resourcesResponse = await fetch(
-            `${NETWORK_CONFIGS[networkKey].rpcUrl}/accounts/${accountAddress}/resources?limit=9999`
-        );
+// ======================================
+// 7️⃣ Get owned fungible asset objects
+// ======================================
+// Helper: Assets held by an account - indexer first, otherwise primary stores of every asset we know about
+const findOwnedAssets = async (networkKey, accountAddress) => {
+    const aptos = getAptosClient(networkKey);
+    const networkConfig = NETWORK_CONFIGS[networkKey];
 
-        if (!resourcesResponse.ok) {
-            throw new Error('Failed to fetch account resources');
+    if (networkConfig.indexerUrl) {
+        try {
+            return { assets: await fetchOwnedAssetsFromIndexer(aptos, accountAddress), source: 'indexer' };
+        } catch (indexerError) {
+            console.warn('Indexer asset lookup failed, scanning instead:', indexerError.message);
         }
+    }
+
+    let indexedAssets = [];
+    try {
+        indexedAssets = SENDMOVE_INDEX_ENABLED ? listIndexedAssets(networkKey) : [];
+    } catch (storeError) {
+        console.warn('Local index unavailable for asset candidates:', storeError.message);
+    }
 
-        const resources = await resourcesResponse.json();
+    const assets = await scanOwnedAssets(aptos, accountAddress, {
+        networkKey,
+        candidates: [...networkConfig.knownAssets, ...indexedAssets],
+    });
+
+    return { assets, source: 'scan' };
+};
+
+app.get('/owned-objects/:address', validate(schemas.ownedObjects), async (req, res) => {
+    const { address: accountAddress } = req.valid.params;
+    const networkKey = resolveNetwork(req.valid.query.network);
+
+    try {
+        const { assets, source } = await findOwnedAssets(networkKey, accountAddress);
+        res.json({ success: true, owned_objects: assets, source });
+    } catch (error) {
+        console.error('Error fetching owned objects:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch owned objects');
+    }
+});
+
+// ======================================
+// 7b) Portfolio valuation
+// ======================================
+
+// Helper: Round a USD amount to cents
+const roundUsd = (value) => Math.round(value * 100) / 100;
+
+app.get('/portfolio/:address', validate(schemas.portfolio), async (req, res) => {
+    const { address: accountAddress } = req.valid.params;
+    const networkKey = resolveNetwork(req.valid.query.network);
+
+    try {
+        const aptos = getAptosClient(networkKey);
+
+        const [moveBalance, owned] = await Promise.all([
+            aptos.getAccountAPTAmount({ accountAddress }),
+            findOwnedAssets(networkKey, accountAddress),
+        ]);
 
-        // Look for ObjectCore resources owned by this address
-        // These would be at different addresses, so we need a different approach
-        // Use Aptos SDK to get account resources of type fungible_asset
+        // getAccountAPTAmount already covers MOVE as both coin and FA
+        const holdings = [
+            {
+                assetType: NATIVE_FA_METADATA,
+                metadataAddress: NATIVE_FA_METADATA,
+                name: 'Move Coin',
+                symbol: 'MOVE',
+                decimals: MOVE_DECIMALS,
+                balance: String(moveBalance),
+            },
+            ...owned.assets.filter((asset) =>
+                asset.assetType !== NATIVE_FA_METADATA && asset.assetType !== MOVE_COIN_TYPE
+            ),
+        ];
+
+        const prices = await getAssetPrices(aptos, { networkKey, assets: holdings });
+
+        let totalUsd = 0;
+        let previousTotalUsd = 0;
+        const assets = holdings.map((asset) => {
+            const price = prices.get(asset.assetType);
+            const formatted = asset.decimals === null ? null : formatAmount(asset.balance, asset.decimals);
+            const valueUsd = price && formatted !== null ? Number(formatted) * price.usd : null;
+
+            if (valueUsd !== null) {
+                totalUsd += valueUsd;
+                previousTotalUsd += price.change24h === null ? valueUsd : valueUsd / (1 + price.change24h / 100);
+            }
 
-        // For Movement Network, we'll need to query the indexer or use events
-        // For now, return empty array and use indexer on mainnet
+            return {
+                ...asset,
+                formatted,
+                priceUsd: price?.usd ?? null,
+                change24h: price?.change24h ?? null,
+                valueUsd: valueUsd === null ? null : roundUsd(valueUsd),
+                priceSource: price?.source ?? null,
+            };
+        });
 
         res.json({
             success: true,
-            owned_objects: ownedObjects,
-            note: 'Object discovery requires indexer. Use mainnet for full functionality.'
+            address: accountAddress.toString(),
+            network: networkKey,
+            currency: 'USD',
+            totalUsd: roundUsd(totalUsd),
+            change24hUsd: roundUsd(totalUsd - previousTotalUsd),
+            change24hPercent: previousTotalUsd > 0
+                ? Math.round(((totalUsd - previousTotalUsd) / previousTotalUsd) * 10000) / 100
+                : null,
+            assets,
+            source: owned.source,
         });
     } catch (error) {
-        console.error('Error fetching owned objects:', error);
-        res.status(500).json({ error: 'Failed to fetch owned objects' });
+        console.error('Error building portfolio:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to build portfolio', { details: error.message });
+    }
+});
+
+// ======================================
+// 8️⃣ Webhooks
+// ======================================
+
+app.use('/webhooks', rateLimit('webhooks'));
+
+// Helper: Webhook as returned by list/get (the secret is only shown on creation)
+const publicWebhook = (webhook) => {
+    const result = { ...webhook };
+    delete result.secret;
+    return result;
+};
+
+// Helper: Webhooks belong to the client that created them; admin clients see all of them
+const webhookOwner = (req) => ({
+    ownerId: req.apiClient?.id ?? null,
+    all: Boolean(req.apiClient?.scopes.some((scope) => scope === '*' || scope === 'admin')),
+});
+
+app.post('/webhooks', validate(schemas.createWebhook), (req, res) => {
+    const { url, events, addresses, networks = Object.keys(NETWORK_CONFIGS), description } = req.valid.body;
+
+    try {
+        const webhook = registerWebhook({
+            url, events, addresses, networks: [...new Set(networks)], description, ownerId: req.apiClient?.id ?? null,
+        });
+        res.status(201).json({ success: true, webhook });
+    } catch (error) {
+        sendError(res, 400, 'INVALID_WEBHOOK', 'Invalid webhook', { details: error.message });
+    }
+});
+
+app.get('/webhooks', (req, res) => {
+    res.json({ success: true, webhooks: listWebhooks({ owner: webhookOwner(req) }).map(publicWebhook) });
+});
+
+app.get('/webhooks/:id', validate(schemas.webhook), (req, res) => {
+    const webhook = getWebhook(req.valid.params.id, webhookOwner(req));
+    if (!webhook) {
+        return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+    }
+    res.json({ success: true, webhook: publicWebhook(webhook) });
+});
+
+// Pause or resume deliveries without losing the registration
+app.patch('/webhooks/:id', validate(schemas.updateWebhook), (req, res) => {
+    const { id } = req.valid.params;
+    if (!getWebhook(id, webhookOwner(req)) || !updateWebhookActive(id, req.valid.body.active)) {
+        return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+    }
+    res.json({ success: true, webhook: publicWebhook(getWebhook(id)) });
+});
+
+app.delete('/webhooks/:id', validate(schemas.webhook), (req, res) => {
+    if (!getWebhook(req.valid.params.id, webhookOwner(req)) || !removeWebhook(req.valid.params.id)) {
+        return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+    }
+    res.json({ success: true });
+});
+
+// Delivery log, newest first: ?status=pending|delivered|failed&offset&limit
+app.get('/webhooks/:id/deliveries', validate(schemas.webhookDeliveries), (req, res) => {
+    const { id } = req.valid.params;
+    if (!getWebhook(id, webhookOwner(req))) {
+        return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+    }
+
+    const { status, offset, limit } = req.valid.query;
+    res.json({ success: true, deliveries: listDeliveries(id, { status, offset, limit }), offset, limit });
+});
+
+app.post('/webhooks/:id/deliveries/:deliveryId/replay', validate(schemas.replayDelivery), (req, res) => {
+    const delivery = getWebhook(req.valid.params.id, webhookOwner(req))
+        ? replayDelivery(req.valid.params.id, req.valid.params.deliveryId)
+        : null;
+    if (!delivery) {
+        return sendError(res, 404, 'DELIVERY_NOT_FOUND', 'Delivery not found');
+    }
+    res.status(202).json({ success: true, delivery });
+});
+
+// Send due and retried deliveries, for deployments without the retry worker (vercel.json runs it every minute)
+app.get('/cron/webhooks', async (req, res) => {
+    res.json({ success: true, attempted: WEBHOOKS_ENABLED ? await processDueDeliveries() : 0 });
+});
+
+// ======================================
+// 9️⃣ Claim code emails
+// ======================================
+app.use(createEmailRouter({ getAptosClient, resolveNetwork, moduleAddressFor }));
+
+// ======================================
+// 🔟 Wallet sign-in (signMessage challenge)
+// ======================================
+app.post('/auth/challenge', rateLimit('walletAuth'), requireWalletAuth, validate(schemas.authChallenge), (req, res) => {
+    const { address } = req.valid.body;
+    const networkKey = resolveNetwork(req.valid.body.network);
+    const { chainId } = NETWORK_CONFIGS[networkKey];
+
+    try {
+        const { nonce, message, expiresAt } = createChallenge({ address: address.toStringLong(), networkKey, chainId });
+        res.json({
+            success: true,
+            address: address.toString(),
+            network: networkKey,
+            chainId,
+            nonce,
+            message,
+            expiresAt,
+            // Input for the wallet-standard signMessage, as is
+            signMessage: { message, nonce, address: true, application: true, chainId: true },
+        });
+    } catch (error) {
+        console.error('Error creating sign-in challenge:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create challenge', { details: error.message });
+    }
+});
+
+app.post('/auth/verify', rateLimit('walletAuth'), requireWalletAuth, validate(schemas.authVerify), async (req, res) => {
+    const { address, nonce, fullMessage, authenticator } = req.valid.body;
+    const networkKey = resolveNetwork(req.valid.body.network);
+
+    try {
+        const verified = await verifyChallengeResponse(getAptosClient(networkKey), {
+            address,
+            networkKey,
+            chainId: NETWORK_CONFIGS[networkKey].chainId,
+            nonce,
+            fullMessage,
+            authenticator,
+        });
+        if (verified.rejection) {
+            return res.status(verified.rejection.status).json(verified.rejection.body);
+        }
+
+        const { token, expiresAt } = issueSessionToken({ address: verified.address, networkKey });
+        console.log(`Wallet sign-in: ${verified.address} on ${networkKey}`);
+        res.json({
+            success: true,
+            address: verified.address,
+            network: networkKey,
+            publicKey: verified.publicKey,
+            token,
+            expiresAt,
+        });
+    } catch (error) {
+        console.error('Error verifying sign-in:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to verify signature', { details: error.message });
     }
 });
 
+// Who the X-Wallet-Session token belongs to
+app.get('/auth/session', requireWalletSession, (req, res) => {
+    res.json({ success: true, ...req.walletSession });
+});
+
 // Test endpoint
 app.get('/test', (req, res) => {
     res.json({ success: true, message: 'Backend is reachable!' });
@@ -596,8 +1882,7 @@ app.get('/test', (req, res) => {
 
 // 404 handler - ensure JSON response
 app.use((req, res) => {
-    res.status(404).json({
-        error: 'Endpoint not found',
+    sendError(res, 404, 'NOT_FOUND', 'Endpoint not found', {
         path: req.path,
         method: req.method,
     });
@@ -605,19 +1890,37 @@ app.use((req, res) => {
 
 // Error handler - ensure JSON response for all errors
 app.use((err, req, res, next) => {
+    // Body parser failures (malformed JSON, oversized body) are client errors
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON', { details: err.message });
+    }
+
     console.error('Express error handler:', err);
-    res.status(err.status || 500).json({
-        error: err.message || 'Internal server error',
+    sendError(res, err.status || 500, err.status && err.status < 500 ? 'INVALID_REQUEST' : 'INTERNAL_ERROR', err.message || 'Internal server error', {
         details: process.env.NODE_ENV === 'development' ? err.stack : undefined,
     });
 });
 
 // Only start the server if we're not in a Vercel environment
-// Vercel handles the listener for us when we export the app
-if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
+// Vercel handles the listener for us when we export the app, and runs the background work through /cron/*
+if (!process.env.VERCEL) {
     app.listen(port, '0.0.0.0', () => {
         console.log(`✅ Backend running at http://localhost:${port}`);
     });
+
+    // Keep the local sendmove index warm on every network with an indexer
+    const indexedNetworks = Object.values(NETWORK_CONFIGS).filter((networkConfig) => networkConfig.indexerUrl);
+    if (SENDMOVE_INDEX_ENABLED && indexedNetworks.length > 0) {
+        startSendmoveIndexer({ networks: indexedNetworks, getAptosClient });
+    }
+
+    // Fullnode health (latency, block height) for failover and the / status route
+    startRpcHealthChecks();
+
+    // Retry worker for webhook deliveries, fed by the indexer and balance subscriptions
+    if (WEBHOOKS_ENABLED) {
+        startWebhookDispatcher({ getAptosClient, networkConfigs: NETWORK_CONFIGS });
+    }
 }
 
 // Export the app for Vercel
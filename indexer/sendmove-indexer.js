@@ -0,0 +1,185 @@
+// sendmove-indexer.js - Tail sendmove events from the indexer API into the local store
+//
+// The cursor is (transaction_version, event_index) rather than an event sequence number: sendmove
+// emits module events (#[event]), which have no per-stream sequence numbers (the node reports 0 for
+// all of them), and the fullnode REST API can only list events of an EventHandle. So the indexer's
+// events table is the only place to read them by type, and version + index is their total order.
+// Networks without an indexerUrl are not indexed.
+import dotenv from 'dotenv';
+import {
+    CREATED_EVENTS,
+    CLAIMED_EVENTS,
+    REFUNDED_EVENTS,
+    SENDMOVE_EVENTS,
+    assetMetadataOf,
+    normalizeEventCode,
+    querySendmoveEvents,
+} from '../sendmove/events.js';
+import {
+    getCursor,
+    setCursor,
+    upsertCreatedTransfer,
+    markTransferSettled,
+    inTransaction,
+} from './store.js';
+
+dotenv.config();
+
+const STREAM = 'sendmove';
+const PAGE_SIZE = 100;
+const MAX_PAGES_PER_SYNC = 20;
+const SYNC_INTERVAL_MS = Number(process.env.SENDMOVE_INDEX_INTERVAL_MS || 15000);
+
+const ALL_EVENTS = [...CREATED_EVENTS, ...CLAIMED_EVENTS, ...REFUNDED_EVENTS];
+
+// One sync at a time per network; concurrent callers share the running one
+const runningSyncs = new Map();
+
+// Called with (networkKey, events, timestamps) after each page is committed to the store
+const eventListeners = new Set();
+
+// Helper: Block timestamp (seconds) for each transaction version in the page
+const fetchTimestamps = async (aptos, versions) => {
+    const timestamps = new Map();
+    await Promise.all([...new Set(versions)].map(async (version) => {
+        const txn = await aptos.getTransactionByVersion({ ledgerVersion: BigInt(version) });
+        timestamps.set(String(version), Math.floor(Number(txn.timestamp) / 1e6));
+    }));
+    return timestamps;
+};
+
+const applyEvents = (networkKey, events, timestamps) => {
+    for (const event of events) {
+        const { data } = event;
+        const code = normalizeEventCode(data.code);
+        const version = Number(event.transaction_version);
+
+        if (CREATED_EVENTS.includes(event.name)) {
+            const isFa = event.name === SENDMOVE_EVENTS.faCreated || Boolean(data.is_fa);
+            upsertCreatedTransfer(networkKey, {
+                code,
+                type: isFa ? 'fa' : 'move',
+                sender: data.sender,
+                assetMetadata: isFa ? assetMetadataOf(data) : null,
+                amount: String(data.amount ?? '0'),
+                createdAt: timestamps.get(String(event.transaction_version)) ?? null,
+                expiration: Number(data.expiration || 0),
+                createdVersion: version,
+            });
+        } else {
+            markTransferSettled(networkKey, code, {
+                status: CLAIMED_EVENTS.includes(event.name) ? 'claimed' : 'refunded',
+                settledBy: data.claimer || data.recipient || data.sender || null,
+                settledAt: timestamps.get(String(event.transaction_version)) ?? null,
+                settledVersion: version,
+            });
+        }
+    }
+};
+
+const syncOnce = async (aptos, { networkKey, moduleAddress }) => {
+    let indexed = 0;
+
+    for (let page = 0; page < MAX_PAGES_PER_SYNC; page++) {
+        const cursor = getCursor(networkKey, STREAM);
+        const events = await querySendmoveEvents(aptos, {
+            moduleAddress,
+            eventNames: ALL_EVENTS,
+            where: {
+                _or: [
+                    { transaction_version: { _gt: cursor.transactionVersion } },
+                    {
+                        transaction_version: { _eq: cursor.transactionVersion },
+                        event_index: { _gt: cursor.eventIndex },
+                    },
+                ],
+            },
+            limit: PAGE_SIZE,
+            order: 'asc',
+        });
+
+        if (events.length === 0) {
+            break;
+        }
+
+        const timestamps = await fetchTimestamps(aptos, events.map((event) => event.transaction_version));
+        const last = events[events.length - 1];
+
+        inTransaction(() => {
+            applyEvents(networkKey, events, timestamps);
+            setCursor(networkKey, STREAM, {
+                transactionVersion: Number(last.transaction_version),
+                eventIndex: Number(last.event_index),
+            });
+        });
+
+        for (const listener of eventListeners) {
+            try {
+                listener(networkKey, events, timestamps);
+            } catch (error) {
+                console.error('[Indexer] event listener failed:', error.message);
+            }
+        }
+
+        indexed += events.length;
+        if (events.length < PAGE_SIZE) {
+            break;
+        }
+    }
+
+    return indexed;
+};
+
+/**
+ * Pull new sendmove events for one network into the local store.
+ * Returns the number of events indexed.
+ */
+export function syncSendmoveEvents(aptos, { networkKey, moduleAddress }) {
+    if (!runningSyncs.has(networkKey)) {
+        const sync = syncOnce(aptos, { networkKey, moduleAddress })
+            .finally(() => runningSyncs.delete(networkKey));
+        runningSyncs.set(networkKey, sync);
+    }
+    return runningSyncs.get(networkKey);
+}
+
+/**
+ * Register a listener for newly indexed sendmove events. Returns a function that removes it.
+ */
+export function onSendmoveEvents(listener) {
+    eventListeners.add(listener);
+    return () => eventListeners.delete(listener);
+}
+
+export function getIndexerStatus(networkKey) {
+    const cursor = getCursor(networkKey, STREAM);
+    return {
+        network: networkKey,
+        transactionVersion: cursor.transactionVersion,
+        eventIndex: cursor.eventIndex,
+        updatedAt: cursor.updatedAt,
+        syncing: runningSyncs.has(networkKey),
+    };
+}
+
+/**
+ * Poll every network that has an indexer configured (registry entries, each with its own module
+ * address). Only used by the long-running server; serverless deployments call
+ * GET /cron/indexer on a schedule instead.
+ */
+export function startSendmoveIndexer({ networks, getAptosClient }) {
+    const tick = () => {
+        for (const { key: networkKey, moduleAddress } of networks) {
+            syncSendmoveEvents(getAptosClient(networkKey), { networkKey, moduleAddress })
+                .then((count) => {
+                    if (count > 0) {
+                        console.log(`[Indexer] ${networkKey}: indexed ${count} sendmove events`);
+                    }
+                })
+                .catch((error) => console.error(`[Indexer] ${networkKey} sync failed:`, error.message));
+        }
+    };
+
+    tick();
+    return setInterval(tick, SYNC_INTERVAL_MS);
+}
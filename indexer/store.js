@@ -0,0 +1,158 @@
+// store.js - SQLite store for indexed sendmove transfers and per-network cursors
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import Database from 'better-sqlite3';
+
+dotenv.config();
+
+// Vercel only allows writes under /tmp (and it does not survive cold starts)
+const DEFAULT_DB_PATH = process.env.VERCEL ? '/tmp/sendmove-index.db' : 'data/sendmove-index.db';
+
+let db;
+
+export function getIndexStore() {
+    if (db) {
+        return db;
+    }
+
+    const dbPath = process.env.SENDMOVE_INDEX_DB || DEFAULT_DB_PATH;
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS cursors (
+            network TEXT NOT NULL,
+            stream TEXT NOT NULL,
+            transaction_version INTEGER NOT NULL,
+            event_index INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (network, stream)
+        );
+
+        CREATE TABLE IF NOT EXISTS transfers (
+            network TEXT NOT NULL,
+            code TEXT NOT NULL,
+            type TEXT NOT NULL,
+            sender TEXT NOT NULL,
+            asset_metadata TEXT,
+            amount TEXT NOT NULL,
+            created_at INTEGER,
+            expiration INTEGER NOT NULL,
+            created_version INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            settled_by TEXT,
+            settled_at INTEGER,
+            settled_version INTEGER,
+            PRIMARY KEY (network, code)
+        );
+
+        CREATE INDEX IF NOT EXISTS transfers_sender ON transfers (network, sender);
+    `);
+
+    return db;
+}
+
+export function getCursor(network, stream) {
+    const row = getIndexStore()
+        .prepare('SELECT transaction_version, event_index, updated_at FROM cursors WHERE network = ? AND stream = ?')
+        .get(network, stream);
+
+    return row
+        ? { transactionVersion: row.transaction_version, eventIndex: row.event_index, updatedAt: row.updated_at }
+        : { transactionVersion: -1, eventIndex: -1, updatedAt: null };
+}
+
+export function setCursor(network, stream, { transactionVersion, eventIndex }) {
+    getIndexStore()
+        .prepare(`
+            INSERT INTO cursors (network, stream, transaction_version, event_index, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (network, stream) DO UPDATE SET
+                transaction_version = excluded.transaction_version,
+                event_index = excluded.event_index,
+                updated_at = excluded.updated_at
+        `)
+        .run(network, stream, transactionVersion, eventIndex, Date.now());
+}
+
+export function upsertCreatedTransfer(network, transfer) {
+    getIndexStore()
+        .prepare(`
+            INSERT INTO transfers (network, code, type, sender, asset_metadata, amount, created_at, expiration, created_version)
+            VALUES (@network, @code, @type, @sender, @assetMetadata, @amount, @createdAt, @expiration, @createdVersion)
+            ON CONFLICT (network, code) DO UPDATE SET
+                type = excluded.type,
+                sender = excluded.sender,
+                asset_metadata = excluded.asset_metadata,
+                amount = excluded.amount,
+                created_at = excluded.created_at,
+                expiration = excluded.expiration,
+                created_version = excluded.created_version,
+                status = 'pending',
+                settled_by = NULL,
+                settled_at = NULL,
+                settled_version = NULL
+        `)
+        .run({ network, ...transfer });
+}
+
+export function markTransferSettled(network, code, { status, settledBy, settledAt, settledVersion }) {
+    getIndexStore()
+        .prepare(`
+            UPDATE transfers
+            SET status = ?, settled_by = ?, settled_at = ?, settled_version = ?
+            WHERE network = ? AND code = ?
+        `)
+        .run(status, settledBy, settledAt, settledVersion, network, code);
+}
+
+export function findIndexedTransfer(network, code) {
+    const row = getIndexStore()
+        .prepare('SELECT * FROM transfers WHERE network = ? AND code = ?')
+        .get(network, code);
+
+    if (!row) {
+        return null;
+    }
+
+    return {
+        code: row.code,
+        type: row.type,
+        sender: row.sender,
+        assetMetadata: row.asset_metadata,
+        amount: row.amount,
+        createdAt: row.created_at,
+        expiration: row.expiration,
+        createdVersion: row.created_version,
+        status: row.status,
+        settledBy: row.settled_by,
+        settledAt: row.settled_at,
+        settledVersion: row.settled_version,
+    };
+}
+
+// Asset, amount, status and expiration of every indexed transfer by a sender, given in each spelling events use
+export function listIndexedTransfersBySender(network, senders) {
+    return getIndexStore()
+        .prepare(`
+            SELECT asset_metadata, amount, status, expiration FROM transfers
+            WHERE network = ? AND sender IN (${senders.map(() => '?').join(', ')})
+        `)
+        .all(network, ...senders)
+        .map((row) => ({ assetMetadata: row.asset_metadata, amount: row.amount, status: row.status, expiration: row.expiration }));
+}
+
+// Distinct FA metadata addresses seen in indexed transfers
+export function listIndexedAssets(network) {
+    return getIndexStore()
+        .prepare('SELECT DISTINCT asset_metadata FROM transfers WHERE network = ? AND asset_metadata IS NOT NULL')
+        .all(network)
+        .map((row) => row.asset_metadata);
+}
+
+// Run several writes atomically
+export function inTransaction(fn) {
+    return getIndexStore().transaction(fn)();
+}
@@ -0,0 +1,133 @@
+// registry.js - Networks the backend can talk to, from env defaults plus an optional config file
+//
+// NETWORKS_FILE (or NETWORKS as inline JSON) adds networks or overrides fields of the built-in ones:
+//   { "devnet": { "name", "fullnodeUrl", "faucetUrl", "indexerUrl", "chainId", "moduleAddress",
+//                 "apiKey", "timeoutMs", "knownAssets": [], "faucetAccounts": [] } }
+// `fullnodeUrl` may list several fullnodes (array or comma-separated); networks/rpc.js fails over
+// between them. An entry's API key can also come from MOVEMENT_<KEY>_API_KEY, so it stays out of the file.
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+
+dotenv.config();
+
+// Where the sendmove module is published unless a network overrides it
+export const DEFAULT_MODULE_ADDRESS = process.env.MODULE_ADDRESS
+    || '0xfcd381dce435315523c7a0940729b3ff40ef9d5b0f206f214e8685f8bca2ca9c';
+
+const NETWORK_KEY_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+const listFromEnv = (name) => (process.env[name] || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+// Helper: Known asset metadata addresses in long form; a malformed entry fails at startup, not per request
+const parseKnownAssets = (key, value) => {
+    if (!Array.isArray(value)) {
+        throw new Error(`network ${key} knownAssets must be an array of addresses`);
+    }
+    return value.map((asset) => {
+        try {
+            return AccountAddress.from(asset).toStringLong();
+        } catch {
+            throw new Error(`network ${key} has an invalid knownAssets entry "${asset}"`);
+        }
+    });
+};
+
+// Helper: Fullnode URLs from a string, comma-separated string or array, without trailing slashes
+const parseUrlList = (value) => [].concat(value || [])
+    .flatMap((url) => String(url).split(','))
+    .map((url) => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+const BUILT_IN_NETWORKS = {
+    mainnet: {
+        name: 'Movement Mainnet',
+        fullnodeUrl: process.env.MOVEMENT_MAINNET_RPC || 'https://full.mainnet.movementinfra.xyz/v1',
+        faucetUrl: null,
+        indexerUrl: process.env.MOVEMENT_MAINNET_INDEXER ?? 'https://indexer.mainnet.movementnetwork.xyz/v1/graphql',
+        chainId: 126,
+        knownAssets: listFromEnv('MOVEMENT_MAINNET_KNOWN_ASSETS'),
+        faucetAccounts: listFromEnv('MOVEMENT_MAINNET_FAUCET_ACCOUNTS'),
+    },
+    testnet: {
+        name: 'Movement Testnet',
+        fullnodeUrl: process.env.MOVEMENT_TESTNET_RPC || 'https://testnet.movementnetwork.xyz/v1',
+        faucetUrl: process.env.MOVEMENT_TESTNET_FAUCET || 'https://faucet.testnet.movementnetwork.xyz/',
+        indexerUrl: process.env.MOVEMENT_TESTNET_INDEXER ?? 'https://indexer.testnet.movementnetwork.xyz/v1/graphql',
+        chainId: 250,
+        knownAssets: listFromEnv('MOVEMENT_TESTNET_KNOWN_ASSETS'),
+        faucetAccounts: listFromEnv('MOVEMENT_TESTNET_FAUCET_ACCOUNTS'),
+    },
+};
+
+// Helper: Fill defaults and check one entry; throws with the network key in the message
+const normalizeNetwork = (key, entry) => {
+    if (!NETWORK_KEY_PATTERN.test(key)) {
+        throw new Error(`network key "${key}" must be lowercase letters, digits, - or _`);
+    }
+    const fullnodeUrls = parseUrlList(entry.fullnodeUrl);
+    if (fullnodeUrls.length === 0) {
+        throw new Error(`network ${key} needs a fullnodeUrl`);
+    }
+    if (entry.chainId !== undefined && entry.chainId !== null && !(Number.isInteger(entry.chainId) && entry.chainId > 0 && entry.chainId < 256)) {
+        throw new Error(`network ${key} has an invalid chainId`);
+    }
+
+    return {
+        key,
+        name: entry.name || key,
+        fullnodeUrl: fullnodeUrls[0],
+        fullnodeUrls,
+        faucetUrl: entry.faucetUrl || null,
+        indexerUrl: entry.indexerUrl || null,
+        chainId: entry.chainId ?? null,
+        moduleAddress: AccountAddress.from(entry.moduleAddress || DEFAULT_MODULE_ADDRESS).toStringLong(),
+        apiKey: entry.apiKey || process.env[`MOVEMENT_${key.toUpperCase().replace(/-/g, '_')}_API_KEY`] || null,
+        timeoutMs: entry.timeoutMs || null,
+        knownAssets: parseKnownAssets(key, entry.knownAssets || []),
+        faucetAccounts: entry.faucetAccounts || [],
+    };
+};
+
+const loadNetworks = () => {
+    const source = process.env.NETWORKS_FILE
+        ? fs.readFileSync(process.env.NETWORKS_FILE, 'utf8')
+        : process.env.NETWORKS || '{}';
+    const configured = JSON.parse(source);
+
+    const networks = {};
+    for (const key of new Set([...Object.keys(BUILT_IN_NETWORKS), ...Object.keys(configured)])) {
+        networks[key] = normalizeNetwork(key, { ...BUILT_IN_NETWORKS[key], ...configured[key] });
+    }
+    return networks;
+};
+
+export const NETWORK_CONFIGS = loadNetworks();
+
+export const isNetwork = (value) => typeof value === 'string' && Object.hasOwn(NETWORK_CONFIGS, value);
+
+export const listNetworkKeys = () => Object.keys(NETWORK_CONFIGS);
+
+export const DEFAULT_NETWORK = (() => {
+    const configured = process.env.DEFAULT_MOVEMENT_NETWORK;
+    if (!configured) return 'testnet';
+    if (!isNetwork(configured)) {
+        throw new Error(`DEFAULT_MOVEMENT_NETWORK "${configured}" is not a configured network`);
+    }
+    return configured;
+})();
+
+/**
+ * Network as shown to clients (no API keys or private endpoint URLs).
+ */
+export function publicNetwork(config) {
+    return {
+        key: config.key,
+        name: config.name,
+        chainId: config.chainId,
+        moduleAddress: config.moduleAddress,
+        default: config.key === DEFAULT_NETWORK,
+        faucet: Boolean(config.faucetUrl),
+        indexer: Boolean(config.indexerUrl),
+    };
+}
@@ -0,0 +1,320 @@
+// rpc.js - Fullnode and indexer requests with failover, timeouts, retries and circuit breaking
+//
+// Plugged into the SDK as its HTTP client (see getAptosClient in index.js), so every chain call goes
+// through here. Requests go to the first available fullnode of a network in config order. Reads
+// (GETs, views, simulations and indexer queries) are retried with backoff on timeouts, network
+// errors, 5xx and 429, moving to the next fullnode each time. Submissions only move on when a
+// fullnode could not be reached at all, so a transaction is never sent twice.
+//
+// After RPC_BREAKER_THRESHOLD consecutive failures an endpoint's circuit opens and it is skipped for
+// RPC_BREAKER_COOLDOWN_MS; the next request or health check after that decides whether it closes.
+// Health checks read the ledger info of every fullnode and also skip fullnodes that lag behind the
+// others or report another chain ID.
+//
+// A client created with a `deadline` (ms timestamp) shortens each request's timeout to the time left
+// and stops retrying once it has passed, so a route chaining several calls has one overall budget.
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import { NETWORK_CONFIGS } from './registry.js';
+
+dotenv.config();
+
+const TIMEOUT_MS = Number(process.env.RPC_TIMEOUT_MS || 10000);
+const RETRIES = Number(process.env.RPC_RETRIES || 2);
+const RETRY_BASE_MS = Number(process.env.RPC_RETRY_BASE_MS || 250);
+const BREAKER_THRESHOLD = Number(process.env.RPC_BREAKER_THRESHOLD || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.RPC_BREAKER_COOLDOWN_MS || 30 * 1000);
+const HEALTH_INTERVAL_MS = Number(process.env.RPC_HEALTH_INTERVAL_MS || 30 * 1000);
+const MAX_BLOCK_LAG = Number(process.env.RPC_MAX_BLOCK_LAG || 50);
+
+// POSTs that only read chain state
+const IDEMPOTENT_POSTS = /^\/(view|transactions\/simulate)$/;
+
+// Connection errors that mean the request never reached the fullnode
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const createEndpoint = (url) => ({
+    url,
+    failures: 0,
+    openUntil: 0,
+    latencyMs: null,
+    chainId: null,
+    blockHeight: null,
+    lagging: false,
+    wrongChain: false,
+    lastCheckedAt: null,
+    lastFailureAt: null,
+});
+
+// One pool per configured network
+const pools = new Map(Object.values(NETWORK_CONFIGS).map((config) => [config.key, {
+    networkKey: config.key,
+    chainId: config.chainId,
+    timeoutMs: config.timeoutMs || TIMEOUT_MS,
+    headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+    fullnodes: config.fullnodeUrls.map(createEndpoint),
+    indexers: config.indexerUrl ? [createEndpoint(config.indexerUrl)] : [],
+    checkedAt: 0,
+}]));
+
+const rpcError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Whether a chain call failed because the fullnode didn't answer in time.
+ */
+export const isRpcTimeout = (error) => error?.code === 'RPC_TIMEOUT';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// closed: in use; open: skipped until the cooldown ends; half-open: cooldown over, on probation
+const breakerState = (endpoint) => {
+    if (endpoint.failures < BREAKER_THRESHOLD) return 'closed';
+    return endpoint.openUntil > Date.now() ? 'open' : 'half-open';
+};
+
+const isHealthy = (endpoint) => breakerState(endpoint) !== 'open' && !endpoint.lagging && !endpoint.wrongChain;
+
+// Helper: Endpoints to try, healthy ones first; lagging ones are a last resort, open circuits are skipped
+const candidates = (endpoints) => [
+    ...endpoints.filter(isHealthy),
+    ...endpoints.filter((endpoint) => !isHealthy(endpoint) && breakerState(endpoint) !== 'open'),
+];
+
+const recordSuccess = (endpoint, latencyMs) => {
+    endpoint.failures = 0;
+    endpoint.openUntil = 0;
+    // Smoothed, so one slow response doesn't reorder anything
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+};
+
+const recordFailure = (pool, endpoint, reason) => {
+    endpoint.failures += 1;
+    endpoint.lastFailureAt = Date.now();
+
+    if (endpoint.failures >= BREAKER_THRESHOLD) {
+        if (breakerState(endpoint) !== 'open') {
+            console.warn(`[RPC] ${pool.networkKey}: circuit open for ${endpoint.url} after ${endpoint.failures} failures (${reason})`);
+        }
+        endpoint.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    }
+};
+
+// Helper: One HTTP request with a timeout covering the whole response; answers in the SDK's client shape
+const send = async (url, { method, headers, body }, timeoutMs) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(url, { method, headers, body, signal: controller.signal });
+        const text = await response.text();
+
+        let data = text;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            // Plain-text error pages stay as they are
+        }
+
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            data,
+            headers: Object.fromEntries(response.headers.entries()),
+        };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw rpcError('RPC_TIMEOUT', `RPC timeout after ${timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Helper: Query string, headers and body of an SDK request
+const toFetchRequest = ({ method, params, headers, body }) => {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params || {})) {
+        if (value !== undefined && value !== null) query.set(key, String(value));
+    }
+
+    const cleanHeaders = {};
+    for (const [key, value] of Object.entries(headers || {})) {
+        if (value !== undefined) cleanHeaders[key] = String(value);
+    }
+
+    let payload;
+    if (body instanceof Uint8Array) {
+        payload = Buffer.from(body);
+    } else if (body !== undefined) {
+        payload = JSON.stringify(body);
+    }
+
+    return { query: query.size > 0 ? `?${query}` : '', request: { method, headers: cleanHeaders, body: payload } };
+};
+
+// Helper: Timeout for the next request: the pool's, cut to what is left before the deadline
+const timeoutWithin = (pool, deadline) => {
+    if (!deadline) return pool.timeoutMs;
+
+    const left = deadline - Date.now();
+    if (left <= 0) {
+        throw rpcError('RPC_TIMEOUT', 'RPC deadline reached');
+    }
+    return Math.min(pool.timeoutMs, left);
+};
+
+// Helper: Send to the pool's endpoints; reads rotate through them with backoff, writes only move on unsent
+const dispatch = async (pool, endpoints, path, requestOptions, idempotent, deadline) => {
+    const order = candidates(endpoints);
+    if (order.length === 0) {
+        throw rpcError('RPC_UNAVAILABLE', `No ${pool.networkKey} endpoint available (all circuits open)`);
+    }
+
+    const { query, request } = toFetchRequest(requestOptions);
+    const attempts = idempotent ? RETRIES + 1 : order.length;
+    let outcome;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const endpoint = order[attempt % order.length];
+        if (attempt > 0 && idempotent) {
+            await sleep(RETRY_BASE_MS * 2 ** (attempt - 1) + Math.random() * RETRY_BASE_MS);
+        }
+
+        // Past the deadline, the last failure is the answer
+        if (deadline && attempt > 0 && Date.now() >= deadline) break;
+        const timeoutMs = timeoutWithin(pool, deadline);
+
+        const startedAt = Date.now();
+        try {
+            const response = await send(`${endpoint.url}${path}${query}`, request, timeoutMs);
+            outcome = { response };
+
+            if (response.status >= 500) {
+                recordFailure(pool, endpoint, `status ${response.status}`);
+            } else if (response.status !== 429) {
+                recordSuccess(endpoint, Date.now() - startedAt);
+                return response;
+            }
+            // Writes are not repeated, whatever the answer
+            if (!idempotent) return response;
+        } catch (error) {
+            recordFailure(pool, endpoint, error.message);
+            outcome = { error };
+            if (!idempotent && !NOT_SENT_CODES.includes(error.code)) throw error;
+        }
+    }
+
+    if (outcome.error) throw outcome.error;
+    return outcome.response;
+};
+
+/**
+ * SDK client (`AptosConfig.client`) for a network. The SDK builds URLs from the primary fullnode
+ * and indexer; the path is replayed against whichever endpoint serves the request.
+ * With `deadline`, every request made through the client has to finish before that time.
+ */
+export function createRpcClient(networkKey, { deadline = null } = {}) {
+    const pool = pools.get(networkKey);
+    const primary = pool.fullnodes[0].url;
+
+    return {
+        async provider(requestOptions) {
+            const { url, method } = requestOptions;
+
+            if (url.startsWith(primary)) {
+                const path = url.slice(primary.length);
+                return dispatch(pool, pool.fullnodes, path, requestOptions, method === 'GET' || IDEMPOTENT_POSTS.test(path), deadline);
+            }
+            if (pool.indexers.length > 0 && url === pool.indexers[0].url) {
+                // The backend only sends GraphQL queries, never mutations
+                return dispatch(pool, pool.indexers, '', requestOptions, true, deadline);
+            }
+
+            // Anything else (e.g. a faucet) still gets the timeout
+            const { query, request } = toFetchRequest(requestOptions);
+            return send(`${url}${query}`, request, timeoutWithin(pool, deadline));
+        },
+    };
+}
+
+// Helper: Ledger info of one fullnode - latency, chain ID and block height
+const checkFullnode = async (pool, endpoint) => {
+    const startedAt = Date.now();
+    try {
+        const { status, data } = await send(endpoint.url, { method: 'GET', headers: pool.headers }, pool.timeoutMs);
+        if (status !== 200) throw new Error(`status ${status}`);
+
+        endpoint.chainId = data.chain_id;
+        endpoint.blockHeight = Number(data.block_height);
+        endpoint.wrongChain = pool.chainId !== null && data.chain_id !== pool.chainId;
+        recordSuccess(endpoint, Date.now() - startedAt);
+    } catch (error) {
+        recordFailure(pool, endpoint, error.message);
+    }
+    endpoint.lastCheckedAt = Date.now();
+};
+
+const checkPool = async (pool) => {
+    await Promise.all(pool.fullnodes.map((endpoint) => checkFullnode(pool, endpoint)));
+
+    const heights = pool.fullnodes.map((endpoint) => endpoint.blockHeight).filter((height) => height !== null);
+    const tip = Math.max(...heights);
+    for (const endpoint of pool.fullnodes) {
+        endpoint.lagging = endpoint.blockHeight !== null && tip - endpoint.blockHeight > MAX_BLOCK_LAG;
+    }
+    pool.checkedAt = Date.now();
+};
+
+let runningCheck = null;
+
+/**
+ * Check every fullnode of every network now (concurrent callers share one round).
+ */
+export function checkRpcHealth() {
+    if (!runningCheck) {
+        runningCheck = Promise.all([...pools.values()].map(checkPool)).finally(() => {
+            runningCheck = null;
+        });
+    }
+    return runningCheck;
+}
+
+const publicEndpoint = (endpoint, index) => ({
+    endpoint: index,
+    healthy: isHealthy(endpoint),
+    circuit: breakerState(endpoint),
+    latencyMs: endpoint.latencyMs,
+    chainId: endpoint.chainId,
+    blockHeight: endpoint.blockHeight,
+    lagging: endpoint.lagging,
+    wrongChain: endpoint.wrongChain,
+    lastCheckedAt: endpoint.lastCheckedAt,
+    lastFailureAt: endpoint.lastFailureAt,
+});
+
+/**
+ * Endpoint health per network, by position in the network's fullnode list (URLs are not shown).
+ * Results older than the health check interval are refreshed first, so serverless instances
+ * without the background checks still report real numbers.
+ */
+export async function getRpcHealth() {
+    if ([...pools.values()].some((pool) => Date.now() - pool.checkedAt > HEALTH_INTERVAL_MS)) {
+        await checkRpcHealth();
+    }
+
+    return [...pools.values()].map((pool) => ({
+        network: pool.networkKey,
+        healthy: pool.fullnodes.filter(isHealthy).length,
+        fullnodes: pool.fullnodes.map(publicEndpoint),
+        indexer: pool.indexers.length > 0 ? { circuit: breakerState(pool.indexers[0]), latencyMs: pool.indexers[0].latencyMs } : null,
+    }));
+}
+
+/**
+ * Background health checks for the long-running server.
+ */
+export function startRpcHealthChecks() {
+    checkRpcHealth();
+    return setInterval(checkRpcHealth, HEALTH_INTERVAL_MS);
+}
@@ -0,0 +1,95 @@
+// price-service.js - Cached USD prices from the configured providers
+import dotenv from 'dotenv';
+import { createStaticPriceProvider, createDexPriceProvider, createHttpPriceProvider } from './providers.js';
+
+dotenv.config();
+
+const PRICE_CACHE_TTL_MS = Number(process.env.PRICE_CACHE_TTL_MS || 60 * 1000);
+
+const PROVIDER_FACTORIES = {
+    static: () => createStaticPriceProvider({ file: process.env.PRICE_STATIC_FILE }),
+    dex: () => createDexPriceProvider({ file: process.env.PRICE_DEX_POOLS_FILE }),
+    http: () => createHttpPriceProvider({
+        url: process.env.PRICE_ORACLE_URL,
+        apiKey: process.env.PRICE_ORACLE_API_KEY,
+    }),
+};
+
+// Providers in priority order from PRICE_PROVIDERS, e.g. "dex,static"
+let providers = null;
+
+// Price per `${networkKey}:${assetType}`; misses are cached too so unpriced assets don't hit providers every time
+const priceCache = new Map();
+
+/**
+ * Configured providers (built once). Unknown or misconfigured providers are skipped with a warning.
+ */
+export function getPriceProviders() {
+    if (providers) return providers;
+
+    providers = [];
+    const names = (process.env.PRICE_PROVIDERS || '').split(',').map((n) => n.trim()).filter(Boolean);
+
+    for (const name of names) {
+        try {
+            if (!PROVIDER_FACTORIES[name]) {
+                throw new Error('unknown provider');
+            }
+            providers.push(PROVIDER_FACTORIES[name]());
+        } catch (error) {
+            console.warn(`Price provider "${name}" disabled:`, error.message);
+        }
+    }
+
+    return providers;
+}
+
+/**
+ * USD price and 24h change (percent) per asset type. Each asset is priced by the first provider that knows it;
+ * assets nobody can price map to null.
+ * @param {Array<{assetType: string, symbol?: string, decimals?: number}>} assets
+ */
+export async function getAssetPrices(aptos, { networkKey, assets }) {
+    const now = Date.now();
+    const prices = new Map();
+    let missing = [];
+    let providerFailed = false;
+
+    for (const asset of assets) {
+        const cached = priceCache.get(`${networkKey}:${asset.assetType}`);
+        if (cached && cached.expiresAt > now) {
+            prices.set(asset.assetType, cached.price);
+        } else {
+            missing.push(asset);
+        }
+    }
+
+    for (const provider of getPriceProviders()) {
+        if (missing.length === 0) break;
+
+        try {
+            const found = await provider.getPrices(aptos, { networkKey, assets: missing });
+            for (const [assetType, price] of found) {
+                prices.set(assetType, { ...price, source: provider.name });
+                priceCache.set(`${networkKey}:${assetType}`, {
+                    price: { ...price, source: provider.name },
+                    expiresAt: now + PRICE_CACHE_TTL_MS,
+                });
+            }
+            missing = missing.filter((asset) => !found.has(asset.assetType));
+        } catch (error) {
+            providerFailed = true;
+            console.warn(`Price provider "${provider.name}" failed:`, error.message);
+        }
+    }
+
+    for (const asset of missing) {
+        prices.set(asset.assetType, null);
+        // Don't remember a miss caused by a provider outage
+        if (!providerFailed) {
+            priceCache.set(`${networkKey}:${asset.assetType}`, { price: null, expiresAt: now + PRICE_CACHE_TTL_MS });
+        }
+    }
+
+    return prices;
+}
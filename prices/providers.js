@@ -0,0 +1,122 @@
+// providers.js - Price sources for portfolio valuation
+//
+// A provider is `{ name, getPrices(aptos, { networkKey, assets }) }` and resolves to a
+// Map of asset type -> { usd, change24h }. Assets it cannot price are left out.
+import fs from 'fs';
+import fetch from 'node-fetch';
+
+// Helper: Read a JSON config file, keyed by network
+const readJsonFile = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Helper: Number or null
+const toNumber = (value) => {
+    const number = Number(value);
+    return value === null || value === undefined || !Number.isFinite(number) ? null : number;
+};
+
+// Helper: Entry for an asset, matched by asset type only: symbols aren't unique, anyone can mint a token called USDC
+const entryFor = (table, asset) => table?.[asset.assetType];
+
+/**
+ * Fixed prices from a JSON file:
+ * `{ "<network>": { "<asset type>": { "usd": 0.5, "change24h": -1.2 } } }`
+ */
+export function createStaticPriceProvider({ file }) {
+    const prices = readJsonFile(file);
+
+    return {
+        name: 'static',
+        async getPrices(aptos, { networkKey, assets }) {
+            const result = new Map();
+            for (const asset of assets) {
+                const entry = entryFor(prices[networkKey], asset);
+                if (entry && toNumber(entry.usd) !== null) {
+                    result.set(asset.assetType, { usd: toNumber(entry.usd), change24h: toNumber(entry.change24h) });
+                }
+            }
+            return result;
+        },
+    };
+}
+
+/**
+ * Spot prices from on-chain DEX pool reserves. Pools file:
+ * `{ "<network>": { "<asset type>": { "function", "typeArguments", "functionArguments",
+ *   "baseIndex", "quoteIndex", "quoteDecimals" } } }`
+ * The view must return reserves, and the quote side must be a USD stablecoin.
+ * Pools carry no history, so `change24h` is always null.
+ */
+export function createDexPriceProvider({ file }) {
+    const pools = readJsonFile(file);
+
+    return {
+        name: 'dex',
+        async getPrices(aptos, { networkKey, assets }) {
+            const result = new Map();
+
+            await Promise.all(assets.map(async (asset) => {
+                const pool = entryFor(pools[networkKey], asset);
+                if (!pool || asset.decimals === null) return;
+
+                try {
+                    const values = await aptos.view({
+                        payload: {
+                            function: pool.function,
+                            typeArguments: pool.typeArguments || [],
+                            functionArguments: pool.functionArguments || [],
+                        },
+                    });
+
+                    const base = Number(values[pool.baseIndex ?? 0]) / 10 ** asset.decimals;
+                    const quote = Number(values[pool.quoteIndex ?? 1]) / 10 ** (pool.quoteDecimals ?? 6);
+                    if (base > 0) {
+                        result.set(asset.assetType, { usd: quote / base, change24h: null });
+                    }
+                } catch (error) {
+                    console.warn(`DEX price lookup failed for ${asset.assetType}:`, error.message);
+                }
+            }));
+
+            return result;
+        },
+    };
+}
+
+/**
+ * Prices from an HTTP oracle: `GET <url>?network=<network>&assets=<type,...>`
+ * answering `{ "prices": { "<asset type>": { "usd", "change24h" } } }`.
+ */
+export function createHttpPriceProvider({ url, apiKey, timeoutMs = 5000 }) {
+    if (!url) {
+        throw new Error('PRICE_ORACLE_URL is not set');
+    }
+
+    return {
+        name: 'http',
+        async getPrices(aptos, { networkKey, assets }) {
+            const query = new URLSearchParams({
+                network: networkKey,
+                assets: assets.map((a) => a.assetType).join(','),
+            });
+
+            const response = await fetch(`${url}?${query}`, {
+                headers: apiKey ? { 'x-api-key': apiKey } : {},
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+
+            if (!response.ok) {
+                throw new Error(`Price oracle responded with ${response.status}`);
+            }
+
+            const { prices = {} } = await response.json();
+            const result = new Map();
+            for (const asset of assets) {
+                const entry = entryFor(prices, asset);
+                if (entry && toNumber(entry.usd) !== null) {
+                    result.set(asset.assetType, { usd: toNumber(entry.usd), change24h: toNumber(entry.change24h) });
+                }
+            }
+            return result;
+        },
+    };
+}
@@ -0,0 +1,172 @@
+// middleware.js - Per-route rate limiting keyed by IP, account address or client
+import dotenv from 'dotenv';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { createStoreFromEnv, createMemoryStore } from './stores.js';
+import { findWalletSession } from '../auth/wallet-sessions.js';
+import { sendError } from '../validation/errors.js';
+
+dotenv.config();
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * Limits per policy, all of which must pass. `keyBy` is 'ip', 'address' (from params/body, only when the
+ * request carries a wallet session for it; the client or IP otherwise) or 'client' (the authenticated
+ * client, IP if absent). Override with RATE_LIMIT_<POLICY>=<max>/<windowSecs>,...
+ * in the same order, e.g. RATE_LIMIT_FAUCET=5/3600,3/86400. A client's own `quota` replaces the
+ * limits of the `client` policy for that client.
+ */
+export const RATE_LIMIT_POLICIES = {
+    default: [{ keyBy: 'ip', max: 300, windowSecs: 60 }],
+    client: [{ keyBy: 'client', max: 600, windowSecs: 60 }],
+    faucet: [
+        { keyBy: 'ip', max: 5, windowSecs: 60 * 60 },
+        { keyBy: 'address', max: 3, windowSecs: 24 * 60 * 60 },
+    ],
+    transactions: [
+        { keyBy: 'ip', max: 60, windowSecs: 60 },
+        { keyBy: 'address', max: 30, windowSecs: 60 },
+    ],
+    // Claim code lookups: tight per minute and per day so codes can't be guessed by brute force
+    codeLookup: [
+        { keyBy: 'ip', max: 20, windowSecs: 60 },
+        { keyBy: 'ip', max: 200, windowSecs: 24 * 60 * 60 },
+    ],
+    // Only sent emails count
+    email: [{ keyBy: 'ip', max: 12, windowSecs: 24 * 60 * 60, skipFailedRequests: true }],
+    webhooks: [{ keyBy: 'client', max: 60, windowSecs: 60 }],
+    // By IP only: the address in a sign-in request is unproven, so keying by it would let anyone lock an account out
+    walletAuth: [{ keyBy: 'ip', max: 30, windowSecs: 60 }],
+};
+
+// Helper: Policy limits with env overrides applied
+const resolvePolicy = (name) => {
+    const limits = RATE_LIMIT_POLICIES[name];
+    if (!limits) {
+        throw new Error(`Unknown rate limit policy "${name}"`);
+    }
+
+    const override = process.env[`RATE_LIMIT_${name.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`];
+    const overrides = override ? override.split(',').map((pair) => pair.trim().split('/').map(Number)) : [];
+
+    return limits.map((limit, i) => {
+        const [max, windowSecs] = overrides[i] || [];
+        return {
+            ...limit,
+            max: Number.isFinite(max) ? max : limit.max,
+            windowMs: (Number.isFinite(windowSecs) ? windowSecs : limit.windowSecs) * 1000,
+        };
+    });
+};
+
+let storePromise = null;
+
+// Helper: Shared store, created on first use; falls back to memory if the configured store fails
+const getStore = () => {
+    if (!storePromise) {
+        storePromise = createStoreFromEnv().catch((error) => {
+            console.error(`[RateLimit] store unavailable (${error.message}), using memory`);
+            return createMemoryStore();
+        });
+    }
+    return storePromise;
+};
+
+// Helper: Client IP as resolved by Express (honours the `trust proxy` setting, not raw x-forwarded-for)
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+// Helper: Account the request acts for, normalized, or null. The address in a request is unproven, so it
+// only counts when a wallet session shows the caller owns it; anyone could otherwise use up someone else's limit.
+const requestAddress = (req) => {
+    const body = req.body || {};
+    const candidate = req.params?.address ?? req.params?.owner ?? body.address ?? body.sender ?? body.claimer;
+    if (typeof candidate !== 'string') return null;
+
+    const session = findWalletSession(req);
+    if (!session) return null;
+    try {
+        const address = AccountAddress.from(candidate);
+        return address.equals(AccountAddress.from(session.address)) ? address.toString() : null;
+    } catch {
+        return null;
+    }
+};
+
+const subjectFor = (keyBy, req) => {
+    if (keyBy === 'address') {
+        const address = requestAddress(req);
+        if (address) return `address:${address}`;
+    }
+    if ((keyBy === 'client' || keyBy === 'address') && req.apiClient) {
+        return `client:${req.apiClient.id}`;
+    }
+    return `ip:${clientIp(req)}`;
+};
+
+// Helper: Draft-standard RateLimit-* headers for the most restrictive limit hit so far on this request
+const setHeaders = (res, { limit, remaining, resetAt }) => {
+    const current = res.get('RateLimit-Remaining');
+    if (current !== undefined && Number(current) < remaining) return;
+
+    res.set({
+        'RateLimit-Limit': String(limit.max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))),
+        'RateLimit-Policy': `${limit.max};w=${limit.windowMs / 1000}`,
+    });
+};
+
+/**
+ * Express middleware enforcing a named policy from RATE_LIMIT_POLICIES.
+ * Store errors fail open so an outage of the counter store doesn't take the API down.
+ */
+export function rateLimit(policyName) {
+    const limits = resolvePolicy(policyName);
+
+    return async (req, res, next) => {
+        if (!ENABLED) {
+            return next();
+        }
+
+        let results;
+        try {
+            const store = await getStore();
+            const applied = policyName === 'client' && req.apiClient?.quota
+                ? [{ keyBy: 'client', max: req.apiClient.quota.max, windowMs: req.apiClient.quota.windowSecs * 1000 }]
+                : limits;
+            results = await Promise.all(applied.map(async (limit, i) => {
+                const key = `${policyName}:${i}:${subjectFor(limit.keyBy, req)}`;
+                const { count, resetAt } = await store.increment(key, limit.windowMs);
+                return { limit, key, store, count, resetAt, remaining: Math.max(0, limit.max - count) };
+            }));
+        } catch (error) {
+            console.error(`[RateLimit] ${policyName} check failed:`, error.message);
+            return next();
+        }
+
+        const exceeded = results.find((result) => result.count > result.limit.max);
+        const tightest = exceeded || results.reduce((min, result) => (result.remaining < min.remaining ? result : min));
+        setHeaders(res, tightest);
+
+        const refundable = results.filter((result) => result.limit.skipFailedRequests);
+        if (refundable.length > 0) {
+            res.on('finish', () => {
+                if (res.statusCode < 400) return;
+                for (const result of refundable) {
+                    result.store.decrement(result.key)
+                        .catch((error) => console.error('[RateLimit] refund failed:', error.message));
+                }
+            });
+        }
+
+        if (exceeded) {
+            const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - Date.now()) / 1000));
+            res.set('Retry-After', String(retryAfter));
+            return sendError(res, 429, 'RATE_LIMITED', 'Too many requests', {
+                details: `Limit of ${exceeded.limit.max} per ${exceeded.limit.windowMs / 1000}s reached, retry in ${retryAfter}s`,
+            });
+        }
+
+        next();
+    };
+}
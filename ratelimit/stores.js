@@ -0,0 +1,127 @@
+// stores.js - Counter storage for rate limiting (memory, SQLite, Redis-compatible)
+//
+// A store is `{ name, increment(key, windowMs), decrement(key) }`. `increment` counts a hit in a
+// fixed window and resolves to `{ count, resetAt }` (ms timestamp when the window ends).
+import { getIndexStore } from '../indexer/store.js';
+
+// Drop expired windows every this many increments
+const SWEEP_EVERY = 1000;
+
+export function createMemoryStore() {
+    const windows = new Map();
+    let hits = 0;
+
+    return {
+        name: 'memory',
+        async increment(key, windowMs) {
+            const now = Date.now();
+
+            if (++hits % SWEEP_EVERY === 0) {
+                for (const [k, entry] of windows) {
+                    if (entry.resetAt <= now) windows.delete(k);
+                }
+            }
+
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+        async decrement(key) {
+            const entry = windows.get(key);
+            if (entry && entry.count > 0) entry.count -= 1;
+        },
+    };
+}
+
+// Shares the local SQLite database with the sendmove index
+export function createSqliteStore() {
+    const db = getIndexStore();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+            key TEXT PRIMARY KEY,
+            reset_at INTEGER NOT NULL,
+            count INTEGER NOT NULL
+        );
+    `);
+
+    const incrementStmt = db.prepare(`
+        INSERT INTO rate_limits (key, reset_at, count) VALUES (@key, @resetAt, 1)
+        ON CONFLICT (key) DO UPDATE SET
+            count = CASE WHEN reset_at <= @now THEN 1 ELSE count + 1 END,
+            reset_at = CASE WHEN reset_at <= @now THEN excluded.reset_at ELSE reset_at END
+        RETURNING count, reset_at
+    `);
+    const decrementStmt = db.prepare('UPDATE rate_limits SET count = count - 1 WHERE key = ? AND count > 0');
+    const sweepStmt = db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?');
+    let hits = 0;
+
+    return {
+        name: 'sqlite',
+        async increment(key, windowMs) {
+            const now = Date.now();
+            if (++hits % SWEEP_EVERY === 0) {
+                sweepStmt.run(now);
+            }
+
+            const row = incrementStmt.get({ key, now, resetAt: now + windowMs });
+            return { count: row.count, resetAt: row.reset_at };
+        },
+        async decrement(key) {
+            decrementStmt.run(key);
+        },
+    };
+}
+
+// Any server speaking the Redis protocol (Redis, Valkey, Upstash, ...)
+export async function createRedisStore({ url, prefix = 'ratelimit:' }) {
+    if (!url) {
+        throw new Error('RATE_LIMIT_REDIS_URL is not set');
+    }
+
+    const { default: Redis } = await import('ioredis');
+    const redis = new Redis(url, { maxRetriesPerRequest: 2, enableOfflineQueue: false, lazyConnect: false });
+    redis.on('error', (error) => console.error('[RateLimit] Redis error:', error.message));
+
+    return {
+        name: 'redis',
+        async increment(key, windowMs) {
+            const [[, count], [, ttl]] = await redis.multi()
+                .incr(prefix + key)
+                .pttl(prefix + key)
+                .exec();
+
+            // New key (or one that lost its expiry): start the window now
+            if (ttl < 0) {
+                await redis.pexpire(prefix + key, windowMs);
+                return { count, resetAt: Date.now() + windowMs };
+            }
+            return { count, resetAt: Date.now() + ttl };
+        },
+        async decrement(key) {
+            await redis.decr(prefix + key);
+        },
+    };
+}
+
+/**
+ * Store from RATE_LIMIT_STORE (memory, sqlite, redis).
+ * Defaults to Redis when RATE_LIMIT_REDIS_URL is set, otherwise SQLite.
+ */
+export async function createStoreFromEnv(env = process.env) {
+    const name = env.RATE_LIMIT_STORE || (env.RATE_LIMIT_REDIS_URL ? 'redis' : 'sqlite');
+
+    switch (name) {
+        case 'memory':
+            return createMemoryStore();
+        case 'sqlite':
+            return createSqliteStore();
+        case 'redis':
+            return createRedisStore({ url: env.RATE_LIMIT_REDIS_URL });
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+}
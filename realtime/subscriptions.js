@@ -0,0 +1,244 @@
+// subscriptions.js - Poll watched addresses and transfer codes, and push typed notifications to subscribers
+import dotenv from 'dotenv';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { describeActivity, listAccountTransactions, ACTIVITY_TYPES } from '../transactions/activity.js';
+import { querySettlementEvents, CLAIMED_EVENTS } from '../sendmove/events.js';
+import { lookupTransfer } from '../sendmove/transfers.js';
+import { formatAmount } from '../assets/metadata.js';
+
+dotenv.config();
+
+const POLL_INTERVAL_MS = Number(process.env.SUBSCRIPTION_POLL_INTERVAL_MS || 5000);
+const MAX_SUBSCRIBERS = Number(process.env.SUBSCRIPTION_MAX_CLIENTS || 500);
+const ACTIVITY_PAGE_SIZE = 10;
+const MOVE_DECIMALS = 8;
+
+// One watch per network and target, shared by every subscriber of that target
+const watches = new Map();
+let subscriberCount = 0;
+let pollTimer = null;
+let polling = false;
+
+// Helper: "1.5 MOVE, 20 USDC" from activity amounts (absolute values)
+const describeAmounts = (amounts) => amounts
+    .map((entry) => `${entry.formatted?.replace(/^-/, '') ?? entry.amount.replace(/^-/, '')} ${entry.symbol || entry.asset}`)
+    .join(', ');
+
+// Helper: Short form of a code hash for messages
+const shortCode = (codeHash) => `${codeHash.slice(0, 10)}…`;
+
+// Helper: Notification type and message for an activity entry on a watched address
+const activityNotification = (entry) => {
+    const amounts = describeAmounts(entry.amounts);
+    const counterparty = entry.counterparties[0] || 'unknown';
+
+    if (!entry.success) {
+        return { type: 'transaction_failed', message: entry.failure?.message || 'Transaction failed' };
+    }
+
+    switch (entry.type) {
+        case ACTIVITY_TYPES.moveTransfer:
+        case ACTIVITY_TYPES.faTransfer:
+            return entry.direction === 'in'
+                ? { type: 'transfer_received', message: `Received ${amounts} from ${counterparty}` }
+                : { type: 'transfer_sent', message: `Sent ${amounts} to ${counterparty}` };
+        case ACTIVITY_TYPES.faucetMint:
+            return { type: 'faucet_received', message: `Received ${amounts} from the faucet` };
+        case ACTIVITY_TYPES.sendmoveCreate:
+            return { type: 'sendmove_created', message: `Created a transfer code for ${amounts}` };
+        case ACTIVITY_TYPES.sendmoveClaim:
+            return { type: 'sendmove_claimed', message: `Claimed ${amounts} with a transfer code` };
+        case ACTIVITY_TYPES.sendmoveRefund:
+            return { type: 'sendmove_refunded', message: `Refunded ${amounts} from an expired transfer code` };
+        default:
+            return { type: 'transaction', message: `Transaction ${entry.function || entry.type}` };
+    }
+};
+
+const emit = (watch, notification, listeners = watch.listeners) => {
+    const payload = {
+        network: watch.networkKey,
+        ...watch.target,
+        ...notification,
+        timestamp: notification.timestamp || new Date().toISOString(),
+    };
+
+    for (const listener of listeners) {
+        try {
+            listener(payload);
+        } catch (error) {
+            console.error('Subscription listener failed:', error.message);
+        }
+    }
+};
+
+// New transactions since the last poll (oldest first); the first poll only records the baseline
+const pollAddress = async (watch) => {
+    const { aptos, networkKey, address, moduleAddress, useIndexer, faucetAccounts } = watch;
+
+    const { transactions } = await listAccountTransactions(aptos, {
+        address,
+        offset: 0,
+        limit: ACTIVITY_PAGE_SIZE,
+        useIndexer,
+    });
+
+    const fresh = transactions
+        .filter((txn) => watch.lastVersion !== null && BigInt(txn.version) > watch.lastVersion)
+        .reverse();
+
+    if (transactions.length > 0) {
+        const newest = transactions.reduce((max, txn) => (BigInt(txn.version) > max ? BigInt(txn.version) : max), 0n);
+        watch.lastVersion = watch.lastVersion === null || newest > watch.lastVersion ? newest : watch.lastVersion;
+    } else if (watch.lastVersion === null) {
+        watch.lastVersion = 0n;
+    }
+
+    for (const txn of fresh) {
+        const entry = await describeActivity(aptos, txn, { networkKey, account: address, moduleAddress, faucetAccounts });
+        emit(watch, { ...activityNotification(entry), version: entry.version, hash: entry.hash, data: entry, timestamp: entry.timestamp });
+    }
+
+    // Without an indexer incoming transfers don't show up as account transactions; watch the MOVE balance instead
+    if (!useIndexer) {
+        const balance = BigInt(await aptos.getAccountAPTAmount({ accountAddress: address }));
+        if (watch.balance !== null && balance !== watch.balance && fresh.length === 0) {
+            const delta = balance - watch.balance;
+            const formatted = formatAmount((delta < 0n ? -delta : delta).toString(), MOVE_DECIMALS);
+            emit(watch, {
+                type: delta > 0n ? 'balance_increased' : 'balance_decreased',
+                message: delta > 0n ? `Received ${formatted} MOVE` : `Balance decreased by ${formatted} MOVE`,
+                data: { asset: 'MOVE', previous: watch.balance.toString(), current: balance.toString(), delta: delta.toString() },
+            });
+        }
+        watch.balance = balance;
+    }
+};
+
+// Status changes of a transfer code: pending -> expired -> claimed / refunded
+const pollCode = async (watch) => {
+    const { aptos, codeHash, moduleAddress, useIndexer } = watch;
+    const label = watch.target.code || shortCode(codeHash);
+
+    if (watch.status === 'claimed' || watch.status === 'refunded' || watch.status === 'settled') {
+        return;
+    }
+
+    if (useIndexer) {
+        const [settlement] = await querySettlementEvents(aptos, { moduleAddress, codes: [codeHash] });
+        if (settlement) {
+            const claimed = CLAIMED_EVENTS.includes(settlement.name);
+            return setCodeStatus(watch, claimed ? 'claimed' : 'refunded', {
+                message: claimed ? `Your code ${label} was claimed` : `Your code ${label} was refunded`,
+                version: settlement.transaction_version,
+                data: settlement.data,
+            });
+        }
+    }
+
+    const transfer = await lookupTransfer(aptos, { moduleAddress, codeHash: Buffer.from(codeHash.slice(2), 'hex') });
+
+    if (!transfer) {
+        // Gone from the chain: without events we only know it was claimed or refunded
+        if (watch.status === 'pending' || watch.status === 'expired') {
+            return setCodeStatus(watch, 'settled', { message: `Your code ${label} was claimed or refunded` });
+        }
+        return setCodeStatus(watch, 'not_found', { message: `No transfer found for code ${label}` });
+    }
+
+    const expired = transfer.expiration > 0 && transfer.expiration <= Math.floor(Date.now() / 1000);
+    return setCodeStatus(watch, expired ? 'expired' : 'pending', {
+        message: expired ? `Your code ${label} expired and can be refunded` : `Your code ${label} is waiting to be claimed`,
+        data: transfer,
+    });
+};
+
+const setCodeStatus = (watch, status, notification) => {
+    if (watch.status === status) return;
+    watch.status = status;
+    watch.lastStatus = { type: `code_${status}`, status, ...notification };
+    emit(watch, watch.lastStatus);
+};
+
+const pollAll = async () => {
+    if (polling) return;
+    polling = true;
+
+    try {
+        await Promise.all([...watches.values()].map(async (watch) => {
+            try {
+                await (watch.kind === 'address' ? pollAddress(watch) : pollCode(watch));
+            } catch (error) {
+                console.error(`[Subscriptions] ${watch.networkKey} ${watch.key} poll failed:`, error.message);
+            }
+        }));
+    } finally {
+        polling = false;
+    }
+};
+
+/**
+ * Subscribe to an address (`address`) or a transfer code (`codeHash`, 0x-prefixed hex; `code` only used in messages).
+ * `listener` receives `{ type, message, network, address | codeHash, data, version, timestamp }`.
+ * Returns an unsubscribe function, or null when the subscriber limit is reached.
+ */
+export function subscribe(aptos, { networkKey, moduleAddress, useIndexer, faucetAccounts = [], address, codeHash, code }, listener) {
+    if (subscriberCount >= MAX_SUBSCRIBERS) {
+        return null;
+    }
+
+    const kind = address ? 'address' : 'code';
+    const target = address ? { address: AccountAddress.from(address).toString() } : { codeHash, ...(code ? { code } : {}) };
+    const key = `${networkKey}:${kind}:${address ? target.address : codeHash}`;
+
+    let watch = watches.get(key);
+    if (!watch) {
+        watch = {
+            key,
+            kind,
+            target,
+            aptos,
+            networkKey,
+            moduleAddress,
+            useIndexer,
+            faucetAccounts,
+            address: target.address,
+            codeHash,
+            listeners: new Set(),
+            lastVersion: null,
+            balance: null,
+            status: null,
+            lastStatus: null,
+        };
+        watches.set(key, watch);
+        // Baseline right away so the first interval already reports changes
+        (kind === 'address' ? pollAddress(watch) : pollCode(watch))
+            .catch((error) => console.error(`[Subscriptions] ${key} initial poll failed:`, error.message));
+    } else if (watch.lastStatus) {
+        emit(watch, watch.lastStatus, [listener]);
+    }
+
+    watch.listeners.add(listener);
+    subscriberCount += 1;
+
+    if (!pollTimer) {
+        pollTimer = setInterval(pollAll, POLL_INTERVAL_MS);
+    }
+
+    return () => {
+        if (!watch.listeners.delete(listener)) return;
+        subscriberCount -= 1;
+
+        if (watch.listeners.size === 0) {
+            watches.delete(key);
+        }
+        if (watches.size === 0 && pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+    };
+}
+
+export function getSubscriptionStats() {
+    return { subscribers: subscriberCount, watches: watches.size, pollIntervalMs: POLL_INTERVAL_MS };
+}
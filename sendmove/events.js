@@ -0,0 +1,241 @@
+// events.js - Query sendmove events from the indexer GraphQL API and join them per transfer code
+
+// Event structs emitted by sendmove
+export const SENDMOVE_EVENTS = {
+    created: 'TransferCreatedEvent',
+    faCreated: 'FATransferCreatedEvent',
+    claimed: 'TransferClaimedEvent',
+    faClaimed: 'FATransferClaimedEvent',
+    refunded: 'TransferRefundedEvent',
+    faRefunded: 'FATransferRefundedEvent',
+};
+
+export const CREATED_EVENTS = [SENDMOVE_EVENTS.created, SENDMOVE_EVENTS.faCreated];
+export const CLAIMED_EVENTS = [SENDMOVE_EVENTS.claimed, SENDMOVE_EVENTS.faClaimed];
+export const REFUNDED_EVENTS = [SENDMOVE_EVENTS.refunded, SENDMOVE_EVENTS.faRefunded];
+
+const PAGE_SIZE = 100;
+const MAX_EVENTS = 2000;
+const CODES_PER_QUERY = 50;
+// Pages of created events one status-filtered request may scan before handing back a cursor
+const MAX_STATUS_SCAN_PAGES = 5;
+
+const EVENTS_QUERY = `
+    query SendmoveEvents($where: events_bool_exp, $offset: Int, $limit: Int, $orderBy: [events_order_by!]) {
+        events(where: $where, offset: $offset, limit: $limit, order_by: $orderBy) {
+            type
+            data
+            sequence_number
+            transaction_version
+            event_index
+        }
+    }
+`;
+
+const TRANSACTION_TIMESTAMPS_QUERY = `
+    query TransactionTimestamps($versions: [bigint!]) {
+        user_transactions(where: { version: { _in: $versions } }) {
+            version
+            timestamp
+        }
+    }
+`;
+
+export const sendmoveEventType = (moduleAddress, name) => `${moduleAddress}::sendmove::${name}`;
+
+// Helper: Event data stores Object<Metadata> as { inner }
+export const assetMetadataOf = (data) => data?.asset_metadata?.inner || data?.asset_metadata || null;
+
+// Helper: Codes are vector<u8>, compared without 0x and in lowercase
+export const normalizeEventCode = (code) => String(code || '').toLowerCase().replace(/^0x/, '');
+
+/**
+ * One page of sendmove events of the given types, newest first unless `order` is 'asc'.
+ * `where` is merged into the GraphQL filter (e.g. `{ data: { _contains: { sender } } }`).
+ */
+export async function querySendmoveEvents(aptos, { moduleAddress, eventNames, where = {}, offset = 0, limit = PAGE_SIZE, order = 'desc' }) {
+    const result = await aptos.queryIndexer({
+        query: {
+            query: EVENTS_QUERY,
+            variables: {
+                where: {
+                    indexed_type: { _in: eventNames.map((name) => sendmoveEventType(moduleAddress, name)) },
+                    ...where,
+                },
+                offset,
+                limit,
+                orderBy: [{ transaction_version: order }, { event_index: order }],
+            },
+        },
+    });
+
+    return result.events.map((event) => ({
+        ...event,
+        name: event.type.split('::').pop(),
+    }));
+}
+
+// Page through every matching event, up to MAX_EVENTS
+export async function queryAllSendmoveEvents(aptos, args) {
+    const events = [];
+
+    for (let offset = 0; offset < MAX_EVENTS; offset += PAGE_SIZE) {
+        const page = await querySendmoveEvents(aptos, { ...args, offset, limit: PAGE_SIZE });
+        events.push(...page);
+        if (page.length < PAGE_SIZE) {
+            break;
+        }
+    }
+
+    return events;
+}
+
+// Claim and refund events for a set of codes (as they appear in event data), queried in chunks
+export async function querySettlementEvents(aptos, { moduleAddress, codes }) {
+    const events = [];
+
+    for (let i = 0; i < codes.length; i += CODES_PER_QUERY) {
+        const chunk = codes.slice(i, i + CODES_PER_QUERY);
+        events.push(...await queryAllSendmoveEvents(aptos, {
+            moduleAddress,
+            eventNames: [...CLAIMED_EVENTS, ...REFUNDED_EVENTS],
+            where: { _or: chunk.map((code) => ({ data: { _contains: { code } } })) },
+        }));
+    }
+
+    return events;
+}
+
+/**
+ * One page of the transfers matching `where` (e.g. a sender), newest first: { transfers, hasMore, nextCursor }.
+ * Without `status` the indexer pages the created events by `offset`. With it, status comes from the
+ * settlement events, so created events are scanned from `cursor` (an event offset) until `limit` matches
+ * are found, for at most MAX_STATUS_SCAN_PAGES pages; `nextCursor` is where the next request resumes.
+ */
+export async function queryTransfersPage(aptos, { moduleAddress, where, status, offset, limit, cursor = 0 }) {
+    const created = { moduleAddress, eventNames: CREATED_EVENTS, where };
+    const timelinesFor = async (events) => buildTransferTimelines(events, await querySettlementEvents(aptos, {
+        moduleAddress,
+        codes: events.map((event) => event.data.code),
+    }));
+
+    if (!status) {
+        // One extra event tells whether there is a next page
+        const events = await querySendmoveEvents(aptos, { ...created, offset, limit: limit + 1 });
+        return { transfers: await timelinesFor(events.slice(0, limit)), hasMore: events.length > limit, nextCursor: null };
+    }
+
+    const transfers = [];
+    let eventOffset = cursor;
+    for (let page = 0; page < MAX_STATUS_SCAN_PAGES; page++) {
+        const events = await querySendmoveEvents(aptos, { ...created, offset: eventOffset, limit: PAGE_SIZE });
+        const lastPage = events.length < PAGE_SIZE;
+
+        for (const [i, transfer] of (await timelinesFor(events)).entries()) {
+            if (transfer.status !== status) continue;
+            transfers.push(transfer);
+            if (transfers.length === limit) {
+                const more = !(lastPage && i === events.length - 1);
+                return { transfers, hasMore: more, nextCursor: more ? eventOffset + i + 1 : null };
+            }
+        }
+
+        eventOffset += events.length;
+        if (lastPage) {
+            return { transfers, hasMore: false, nextCursor: null };
+        }
+    }
+    return { transfers, hasMore: true, nextCursor: eventOffset };
+}
+
+/**
+ * Block timestamps (microseconds, as the fullnode reports them) for transaction versions, from the indexer
+ * in one query per PAGE_SIZE versions. Versions the indexer doesn't know are left out.
+ */
+export async function queryTransactionTimestamps(aptos, versions) {
+    const timestamps = new Map();
+    const unique = [...new Set(versions.map(String))];
+
+    for (let i = 0; i < unique.length; i += PAGE_SIZE) {
+        const result = await aptos.queryIndexer({
+            query: { query: TRANSACTION_TIMESTAMPS_QUERY, variables: { versions: unique.slice(i, i + PAGE_SIZE) } },
+        });
+        for (const { version, timestamp } of result.user_transactions) {
+            // The indexer has UTC "YYYY-MM-DDTHH:MM:SS[.ffffff]" without a zone
+            const [seconds, fraction = ''] = timestamp.split('.');
+            const micros = BigInt(Date.parse(`${seconds}Z`)) * 1000n + BigInt(fraction.padEnd(6, '0').slice(0, 6));
+            timestamps.set(String(version), micros.toString());
+        }
+    }
+
+    return timestamps;
+}
+
+/**
+ * Join created / claimed / refunded events into one entry per code.
+ * Status is claimed, refunded, expired (still locked, reclaimable) or pending.
+ */
+export function buildTransferTimelines(createdEvents, settlementEvents, now = Math.floor(Date.now() / 1000)) {
+    const settlements = new Map();
+    for (const event of settlementEvents) {
+        const code = normalizeEventCode(event.data?.code);
+        settlements.set(code, [...(settlements.get(code) || []), event]);
+    }
+
+    return createdEvents.map((event) => {
+        const { data } = event;
+        const code = normalizeEventCode(data.code);
+        const isFa = event.name === SENDMOVE_EVENTS.faCreated || Boolean(data.is_fa);
+        const expiration = Number(data.expiration || 0);
+
+        const timeline = [{ event: 'created', version: event.transaction_version, data }];
+        let status = expiration > 0 && expiration <= now ? 'expired' : 'pending';
+
+        for (const settlement of (settlements.get(code) || []).sort((a, b) => a.transaction_version - b.transaction_version)) {
+            const claimed = CLAIMED_EVENTS.includes(settlement.name);
+            status = claimed ? 'claimed' : 'refunded';
+            timeline.push({ event: status, version: settlement.transaction_version, data: settlement.data });
+        }
+
+        return {
+            code,
+            type: isFa ? 'fa' : 'move',
+            sender: data.sender,
+            assetMetadata: isFa ? assetMetadataOf(data) : null,
+            amount: String(data.amount ?? '0'),
+            expiration: String(expiration),
+            status,
+            timeline,
+        };
+    });
+}
+
+// Totals per asset ('MOVE' or the FA metadata address)
+export function summarizeTransferTotals(transfers) {
+    const totals = new Map();
+
+    for (const transfer of transfers) {
+        const asset = transfer.assetMetadata || 'MOVE';
+        const entry = totals.get(asset) || { asset, count: 0, sent: 0n, claimed: 0n, refunded: 0n, locked: 0n, reclaimable: 0n };
+        const amount = BigInt(transfer.amount);
+
+        entry.count += 1;
+        entry.sent += amount;
+        if (transfer.status === 'claimed') entry.claimed += amount;
+        if (transfer.status === 'refunded') entry.refunded += amount;
+        if (transfer.status === 'pending' || transfer.status === 'expired') entry.locked += amount;
+        if (transfer.status === 'expired') entry.reclaimable += amount;
+
+        totals.set(asset, entry);
+    }
+
+    return [...totals.values()].map((entry) => ({
+        asset: entry.asset,
+        count: entry.count,
+        sent: entry.sent.toString(),
+        claimed: entry.claimed.toString(),
+        refunded: entry.refunded.toString(),
+        locked: entry.locked.toString(),
+        reclaimable: entry.reclaimable.toString(),
+    }));
+}
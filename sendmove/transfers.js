@@ -0,0 +1,177 @@
+// transfers.js - Send-by-code transfer lifecycle on top of the sendmove module
+import crypto from 'crypto';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { parseMoveAbort, vmStatusFromError } from '../transactions/vm-status.js';
+
+const MIN_EXPIRATION_SECS = 60;
+const MAX_EXPIRATION_SECS = 30 * 24 * 60 * 60;
+export const DEFAULT_EXPIRATION_SECS = 24 * 60 * 60;
+
+// Claim codes avoid look-alike characters (0/O, 1/I/L) so they can be read out or typed
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CLAIM_CODE_LENGTH = 12;
+
+// Entry functions of sendmove, with the argument order the backend encodes.
+// Checked against the on-chain ABI before every build, so a module upgrade fails loudly.
+export const SENDMOVE_ENTRY_FUNCTIONS = {
+    createTransfer: {
+        name: 'create_transfer',
+        params: [
+            { name: 'codeHash', type: 'vector<u8>' },
+            { name: 'amount', type: 'u64' },
+            { name: 'expiresInSecs', type: 'u64' },
+        ],
+    },
+    createFaTransfer: {
+        name: 'create_fa_transfer',
+        params: [
+            { name: 'codeHash', type: 'vector<u8>' },
+            { name: 'assetMetadata', type: '0x1::object::Object<0x1::fungible_asset::Metadata>' },
+            { name: 'amount', type: 'u64' },
+            { name: 'expiresInSecs', type: 'u64' },
+        ],
+    },
+    claimTransfer: {
+        name: 'claim_transfer',
+        params: [{ name: 'code', type: 'vector<u8>' }],
+    },
+    claimFaTransfer: {
+        name: 'claim_fa_transfer',
+        params: [{ name: 'code', type: 'vector<u8>' }],
+    },
+    refundTransfer: {
+        name: 'refund_transfer',
+        params: [{ name: 'codeHash', type: 'vector<u8>' }],
+    },
+    refundFaTransfer: {
+        name: 'refund_fa_transfer',
+        params: [{ name: 'codeHash', type: 'vector<u8>' }],
+    },
+};
+
+// Helper: Uppercase and strip separators so "abcd-efgh-jkmn" and "ABCDEFGHJKMN" are the same code
+export const normalizeClaimCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export function hashClaimCode(code) {
+    return crypto.createHash('sha3-256').update(normalizeClaimCode(code)).digest();
+}
+
+export function generateClaimCode() {
+    // randomInt rejection-samples, so every character is equally likely (byte % 31 would favour the first ones)
+    const code = Array.from({ length: CLAIM_CODE_LENGTH }, () => CLAIM_CODE_ALPHABET[crypto.randomInt(CLAIM_CODE_ALPHABET.length)])
+        .join('')
+        .replace(/(.{4})(?=.)/g, '$1-');
+
+    return { code, codeHash: `0x${hashClaimCode(code).toString('hex')}` };
+}
+
+// Module ABI per network, fetched once per process
+const abiCache = new Map();
+
+export async function getSendmoveAbi(aptos, { moduleAddress, networkKey }) {
+    const cacheKey = `${networkKey}:${moduleAddress}`;
+    if (!abiCache.has(cacheKey)) {
+        const module = await aptos.getAccountModule({ accountAddress: moduleAddress, moduleName: 'sendmove' });
+        abiCache.set(cacheKey, module.abi);
+    }
+    return abiCache.get(cacheKey);
+}
+
+/**
+ * Resolve a lifecycle action to its fully qualified entry function after checking
+ * that the on-chain ABI still takes the arguments we encode.
+ */
+export async function resolveEntryFunction(aptos, { moduleAddress, networkKey, action }) {
+    const spec = SENDMOVE_ENTRY_FUNCTIONS[action];
+    const abi = await getSendmoveAbi(aptos, { moduleAddress, networkKey });
+    const fn = abi?.exposed_functions?.find((entry) => entry.name === spec.name);
+
+    if (!fn || !fn.is_entry) {
+        throw new Error(`sendmove::${spec.name} is not an entry function on this network`);
+    }
+
+    const params = fn.params.filter((type) => type !== '&signer' && type !== 'signer');
+    const expected = spec.params.map((param) => param.type);
+    const matches = params.length === expected.length
+        && params.every((type, i) => normalizeAbiType(type) === normalizeAbiType(expected[i]));
+
+    if (!matches) {
+        throw new Error(`sendmove::${spec.name} ABI mismatch: expected (${expected.join(', ')}), got (${params.join(', ')})`);
+    }
+
+    return `${moduleAddress}::sendmove::${spec.name}`;
+}
+
+// Helper: ABI types print addresses in short or long form depending on the node
+const normalizeAbiType = (type) => type.replace(/0x[0-9a-fA-F]+/g, (address) => AccountAddress.from(address).toString());
+
+// ======================================
+// Input validation (throws with a client-facing message)
+// ======================================
+export function parseExpiration(value) {
+    if (value === undefined || value === null) {
+        return BigInt(DEFAULT_EXPIRATION_SECS);
+    }
+
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < MIN_EXPIRATION_SECS || seconds > MAX_EXPIRATION_SECS) {
+        throw new Error(`expiresInSecs must be an integer between ${MIN_EXPIRATION_SECS} and ${MAX_EXPIRATION_SECS}`);
+    }
+    return BigInt(seconds);
+}
+
+export function parseCodeHash(value) {
+    if (typeof value !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(value)) {
+        throw new Error('codeHash must be a 32-byte hex string');
+    }
+    return Buffer.from(value.replace(/^0x/, ''), 'hex');
+}
+
+export function parseClaimCode(value) {
+    if (typeof value !== 'string' || normalizeClaimCode(value).length !== CLAIM_CODE_LENGTH) {
+        throw new Error(`code must be a ${CLAIM_CODE_LENGTH}-character claim code`);
+    }
+    return normalizeClaimCode(value);
+}
+
+// Helper: Whether a view failed because there is no transfer of that kind (it aborted or the item is missing),
+// as opposed to a node, network or ABI problem
+const isNoSuchTransfer = (error) =>
+    parseMoveAbort(vmStatusFromError(error)) !== null
+    || error?.status === 404
+    || /not_found/.test(error?.data?.error_code ?? '');
+
+// Helper: Find the live transfer for a code hash via the sendmove view functions.
+// Returns { type, sender, amount, assetMetadata, expiration } or null when no transfer matches;
+// other failures are thrown.
+export async function lookupTransfer(aptos, { moduleAddress, codeHash }) {
+    const lookups = [
+        // MOVE transfer: [sender, amount, created_at, expiration]
+        { type: 'move', fn: 'get_transfer', amountIndex: 1, expirationIndex: 3 },
+        // FA transfer: [sender, asset_metadata, amount, created_at, expiration]
+        { type: 'fa', fn: 'get_fa_transfer', amountIndex: 2, expirationIndex: 4 },
+    ];
+
+    for (const { type, fn, amountIndex, expirationIndex } of lookups) {
+        try {
+            const result = await aptos.view({
+                payload: {
+                    function: `${moduleAddress}::sendmove::${fn}`,
+                    functionArguments: [codeHash],
+                },
+            });
+            return {
+                type,
+                sender: result[0]?.toString(),
+                amount: String(result[amountIndex] ?? '0'),
+                assetMetadata: type === 'fa' ? (result[1]?.inner ?? result[1]?.toString() ?? null) : null,
+                expiration: Number(result[expirationIndex] ?? 0),
+            };
+        } catch (error) {
+            if (!isNoSuchTransfer(error)) throw error;
+            // Not this kind of transfer
+        }
+    }
+
+    return null;
+}
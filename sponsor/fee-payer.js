@@ -0,0 +1,191 @@
+// fee-payer.js - Gas sponsorship (fee payer) for gasless onboarding
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+    Account,
+    AccountAddress,
+    Ed25519PrivateKey,
+    PrivateKey,
+    PrivateKeyVariants,
+    TransactionPayloadEntryFunction,
+} from '@aptos-labs/ts-sdk';
+import { getIndexStore } from '../indexer/store.js';
+
+dotenv.config();
+
+// Budgets are in octas of gas (max_gas_amount * gas_unit_price)
+const DAILY_GAS_BUDGET = BigInt(process.env.SPONSOR_DAILY_GAS_BUDGET || '100000000'); // 1 MOVE per day overall
+const ADDRESS_DAILY_GAS_BUDGET = BigInt(process.env.SPONSOR_ADDRESS_DAILY_GAS_BUDGET || '10000000'); // 0.1 MOVE per sender per day
+const MAX_GAS_AMOUNT = BigInt(process.env.SPONSOR_MAX_GAS_AMOUNT || '20000'); // max gas units per sponsored txn
+
+let sponsorAccount;
+
+export function getSponsorAccount() {
+    if (sponsorAccount !== undefined) {
+        return sponsorAccount;
+    }
+
+    if (!process.env.SPONSOR_PRIVATE_KEY) {
+        console.warn('WARNING: SPONSOR_PRIVATE_KEY not set. Sponsored transactions are disabled.');
+        sponsorAccount = null;
+        return sponsorAccount;
+    }
+
+    const privateKey = new Ed25519PrivateKey(
+        PrivateKey.formatPrivateKey(process.env.SPONSOR_PRIVATE_KEY, PrivateKeyVariants.Ed25519)
+    );
+    sponsorAccount = Account.fromPrivateKey({ privateKey });
+    return sponsorAccount;
+}
+
+// Helper: Normalize "0x...::module::function" (or "0x...::module::*") so addresses compare equal
+const normalizeFunctionId = (functionId) => {
+    const [address, moduleName, functionName] = functionId.split('::');
+    return `${AccountAddress.from(address).toString()}::${moduleName}::${functionName}`;
+};
+
+const getAllowedFunctions = (moduleAddress) => {
+    const configured = (process.env.SPONSOR_ALLOWED_FUNCTIONS || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    // Default: every entry function of the sendmove module
+    const entries = configured.length > 0 ? configured : [`${moduleAddress}::sendmove::*`];
+    return entries.map(normalizeFunctionId);
+};
+
+const isFunctionAllowed = (functionId, allowedFunctions) => {
+    const [address, moduleName] = functionId.split('::');
+    return allowedFunctions.includes(functionId) || allowedFunctions.includes(`${address}::${moduleName}::*`);
+};
+
+// Gas reserved or spent by the sponsor, kept in the shared store so every instance draws on the same
+// daily budgets. A reservation counts at its worst case until it's settled to the real cost.
+let ready = false;
+
+const getDb = () => {
+    const db = getIndexStore();
+    if (ready) {
+        return db;
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sponsor_gas (
+            id TEXT PRIMARY KEY,
+            day TEXT NOT NULL,
+            sender TEXT NOT NULL,
+            amount TEXT NOT NULL,
+            spent TEXT,
+            created_at INTEGER NOT NULL,
+            settled_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS sponsor_gas_sender ON sponsor_gas (day, sender);
+    `);
+
+    ready = true;
+    return db;
+};
+
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+// Sum of the day's reservations (amounts are TEXT, summed as BigInt), overall or for one sender
+const spentOn = (db, day, sender) => db
+    .prepare(`SELECT COALESCE(spent, amount) AS cost FROM sponsor_gas WHERE day = ?${sender ? ' AND sender = ?' : ''}`)
+    .all(...[day, sender].filter(Boolean))
+    .reduce((total, row) => total + BigInt(row.cost), 0n);
+
+// Helper: Why a cost doesn't fit in today's budgets, or null if it does
+const budgetExceeded = (db, day, sender, cost) => {
+    if (spentOn(db, day) + cost > DAILY_GAS_BUDGET) {
+        return 'Daily sponsorship budget exhausted';
+    }
+    if (spentOn(db, day, sender) + cost > ADDRESS_DAILY_GAS_BUDGET) {
+        return 'Daily sponsorship budget for this address exhausted';
+    }
+    return null;
+};
+
+const maxGasCost = (rawTransaction) => rawTransaction.max_gas_amount * rawTransaction.gas_unit_price;
+
+/**
+ * Check a fee payer transaction against the sponsorship policy:
+ * allowlisted entry function, gas cap, and the global / per-sender daily budgets.
+ */
+export function checkSponsorPolicy(transaction, { moduleAddress }) {
+    const { rawTransaction } = transaction;
+
+    if (!(rawTransaction.payload instanceof TransactionPayloadEntryFunction)) {
+        return { allowed: false, reason: 'Only entry function transactions can be sponsored' };
+    }
+
+    const { module_name: moduleId, function_name: functionName } = rawTransaction.payload.entryFunction;
+    const functionId = `${moduleId.address.toString()}::${moduleId.name.identifier}::${functionName.identifier}`;
+
+    if (!isFunctionAllowed(functionId, getAllowedFunctions(moduleAddress))) {
+        return { allowed: false, reason: `Function ${functionId} is not eligible for sponsorship` };
+    }
+
+    if (rawTransaction.max_gas_amount > MAX_GAS_AMOUNT) {
+        return { allowed: false, reason: `max_gas_amount exceeds the sponsored limit of ${MAX_GAS_AMOUNT}` };
+    }
+
+    const cost = maxGasCost(rawTransaction);
+    const reason = budgetExceeded(getDb(), currentDay(), rawTransaction.sender.toString(), cost);
+    if (reason) {
+        return { allowed: false, reason };
+    }
+
+    return { allowed: true, functionId, maxGasCost: cost };
+}
+
+/**
+ * Reserve the worst-case gas cost before co-signing; the budgets are checked again in the same write
+ * transaction, so concurrent instances can't both take the last of it.
+ * Returns { reservation } or { reason } when a budget is exhausted.
+ */
+export function reserveSponsoredGas(transaction) {
+    const db = getDb();
+    const cost = maxGasCost(transaction.rawTransaction);
+    const sender = transaction.rawTransaction.sender.toString();
+    const day = currentDay();
+
+    return db.transaction(() => {
+        const reason = budgetExceeded(db, day, sender, cost);
+        if (reason) {
+            return { reason };
+        }
+
+        const reservation = { id: crypto.randomUUID(), day, sender, amount: cost };
+        db.prepare('INSERT INTO sponsor_gas (id, day, sender, amount, created_at) VALUES (?, ?, ?, ?, ?)')
+            .run(reservation.id, day, sender, cost.toString(), Date.now());
+        return { reservation };
+    }).immediate();
+}
+
+// Settle a reservation to the real gas cost (0 when the transaction was never submitted); only the first settle counts
+export function settleSponsoredGas(reservation, actualCost = 0n) {
+    getDb()
+        .prepare('UPDATE sponsor_gas SET spent = ?, settled_at = ? WHERE id = ? AND spent IS NULL')
+        .run(BigInt(actualCost).toString(), Date.now(), reservation.id);
+}
+
+export function getSponsorStatus(sender) {
+    const account = getSponsorAccount();
+    const db = getDb();
+    const day = currentDay();
+
+    return {
+        enabled: Boolean(account),
+        feePayerAddress: account ? account.accountAddress.toString() : null,
+        day,
+        dailyBudget: DAILY_GAS_BUDGET.toString(),
+        dailyRemaining: (DAILY_GAS_BUDGET - spentOn(db, day)).toString(),
+        addressDailyBudget: ADDRESS_DAILY_GAS_BUDGET.toString(),
+        addressDailyRemaining: sender
+            ? (ADDRESS_DAILY_GAS_BUDGET - spentOn(db, day, sender)).toString()
+            : undefined,
+        maxGasAmount: MAX_GAS_AMOUNT.toString(),
+    };
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsor-budget-'));
+process.env.SENDMOVE_INDEX_DB = path.join(dir, 'index.db');
+process.env.SPONSOR_DAILY_GAS_BUDGET = '5000000';
+process.env.SPONSOR_ADDRESS_DAILY_GAS_BUDGET = '3000000';
+
+const SENDER = AccountAddress.from('0x' + '12'.repeat(32));
+
+// 20000 gas units at 100 octas: 2000000 octas worst case
+const sponsoredTransaction = (sender = SENDER) => ({
+    rawTransaction: { sender, max_gas_amount: 20000n, gas_unit_price: 100n },
+});
+
+test('sponsor budgets hold across a fresh module instance', async (t) => {
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const first = await import('../sponsor/fee-payer.js?instance=1');
+    const { reservation } = first.reserveSponsoredGas(sponsoredTransaction());
+    assert.ok(reservation);
+
+    // A cold start gets a new module instance over the same store
+    const second = await import('../sponsor/fee-payer.js?instance=2');
+    assert.equal(second.getSponsorStatus(SENDER.toString()).addressDailyRemaining, '1000000');
+    assert.deepEqual(second.reserveSponsoredGas(sponsoredTransaction()), {
+        reason: 'Daily sponsorship budget for this address exhausted',
+    });
+
+    // Settling in one instance refunds the unused gas for every instance
+    first.settleSponsoredGas(reservation, 500000n);
+    assert.ok(second.reserveSponsoredGas(sponsoredTransaction()).reservation);
+
+    const other = AccountAddress.from('0x' + '34'.repeat(32));
+    assert.equal(second.getSponsorStatus().dailyRemaining, '2500000');
+    assert.ok(second.reserveSponsoredGas(sponsoredTransaction(other)).reservation);
+    assert.deepEqual(first.reserveSponsoredGas(sponsoredTransaction(other)), {
+        reason: 'Daily sponsorship budget exhausted',
+    });
+});
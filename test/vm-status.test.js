@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeVmStatus } from '../transactions/vm-status.js';
+
+const MODULE_ADDRESS = '0xfcd381dce435315523c7a0940729b3ff40ef9d5b0f206f214e8685f8bca2ca9c';
+
+test('decodes a bare sendmove abort code', () => {
+    const failure = decodeVmStatus(`Move abort in ${MODULE_ADDRESS}::sendmove: 0x6000b`, { moduleAddress: MODULE_ADDRESS });
+
+    assert.equal(failure.key, 'TRANSFER_NOT_FOUND');
+    assert.equal(failure.reason, 'ETRANSFER_NOT_FOUND');
+    assert.equal(failure.category, 'NOT_FOUND');
+    assert.equal(failure.code, 0x6000b);
+});
+
+test('falls back to the category when several sendmove errors share it', () => {
+    const failure = decodeVmStatus(`Move abort in ${MODULE_ADDRESS}::sendmove: 0x30004`, { moduleAddress: MODULE_ADDRESS });
+
+    assert.equal(failure.key, 'MOVE_ABORT_INVALID_STATE');
+    assert.equal(failure.reason, null);
+});
+
+test('decodes framework aborts by name and by code', () => {
+    const named = decodeVmStatus('Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins to complete transaction');
+    assert.equal(named.key, 'INSUFFICIENT_BALANCE');
+
+    const numeric = decodeVmStatus('Move abort in 0x1::fungible_asset: 0x10004');
+    assert.equal(numeric.key, 'INSUFFICIENT_BALANCE');
+    assert.equal(numeric.reason, 'EINSUFFICIENT_BALANCE');
+});
@@ -0,0 +1,99 @@
+// abort-codes.js - Move abort codes mapped to stable error keys and user-facing messages
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// std::error categories (upper byte of the abort code)
+export const ERROR_CATEGORIES = {
+    0x1: { name: 'INVALID_ARGUMENT', message: 'The request contains an invalid value.' },
+    0x2: { name: 'OUT_OF_RANGE', message: 'A value is out of the allowed range.' },
+    0x3: { name: 'INVALID_STATE', message: 'This action is not allowed right now.' },
+    0x4: { name: 'UNAUTHENTICATED', message: 'The transaction could not be authenticated.' },
+    0x5: { name: 'PERMISSION_DENIED', message: 'You do not have permission to do this.' },
+    0x6: { name: 'NOT_FOUND', message: 'The requested item was not found.' },
+    0x7: { name: 'ABORTED', message: 'The action was aborted.' },
+    0x8: { name: 'ALREADY_EXISTS', message: 'This item already exists.' },
+    0x9: { name: 'RESOURCE_EXHAUSTED', message: 'A limit has been reached.' },
+    0xA: { name: 'CANCELLED', message: 'The action was cancelled.' },
+    0xB: { name: 'INTERNAL', message: 'An internal error occurred.' },
+    0xC: { name: 'NOT_IMPLEMENTED', message: 'This feature is not available.' },
+    0xD: { name: 'UNAVAILABLE', message: 'This feature is temporarily unavailable.' },
+};
+
+// Framework modules at 0x1, keyed by module name then error constant name.
+// `code` is the reason (lower 16 bits of the abort code).
+export const FRAMEWORK_ABORT_CODES = {
+    coin: {
+        ECOIN_INFO_NOT_PUBLISHED: { code: 3, key: 'COIN_NOT_INITIALIZED', message: 'This coin does not exist.' },
+        ECOIN_STORE_NOT_PUBLISHED: { code: 5, key: 'COIN_STORE_NOT_REGISTERED', message: 'The account is not set up to hold this coin.' },
+        EINSUFFICIENT_BALANCE: { code: 6, key: 'INSUFFICIENT_BALANCE', message: 'Not enough balance to complete this transfer.' },
+        EFROZEN: { code: 10, key: 'ACCOUNT_FROZEN', message: 'This account is frozen for this coin.' },
+    },
+    fungible_asset: {
+        EAMOUNT_CANNOT_BE_ZERO: { code: 1, key: 'AMOUNT_ZERO', message: 'The amount must be greater than zero.' },
+        ESTORE_IS_FROZEN: { code: 3, key: 'STORE_FROZEN', message: 'This asset store is frozen.' },
+        EINSUFFICIENT_BALANCE: { code: 4, key: 'INSUFFICIENT_BALANCE', message: 'Not enough balance to complete this transfer.' },
+        EMAX_SUPPLY_EXCEEDED: { code: 5, key: 'MAX_SUPPLY_EXCEEDED', message: 'The maximum supply of this asset has been reached.' },
+        EFUNGIBLE_ASSET_MISMATCH: { code: 6, key: 'ASSET_MISMATCH', message: 'The asset does not match the expected asset.' },
+        ENOT_STORE_OWNER: { code: 8, key: 'NOT_STORE_OWNER', message: 'You do not own this asset store.' },
+    },
+    account: {
+        EACCOUNT_ALREADY_EXISTS: { code: 1, key: 'ACCOUNT_ALREADY_EXISTS', message: 'This account already exists.' },
+        EACCOUNT_DOES_NOT_EXIST: { code: 2, key: 'ACCOUNT_NOT_FOUND', message: 'This account does not exist yet.' },
+        ESEQUENCE_NUMBER_TOO_BIG: { code: 3, key: 'SEQUENCE_NUMBER_TOO_BIG', message: 'The account has too many transactions.' },
+        EMALFORMED_AUTHENTICATION_KEY: { code: 4, key: 'MALFORMED_AUTH_KEY', message: 'The authentication key is malformed.' },
+        ECANNOT_RESERVED_ADDRESS: { code: 5, key: 'RESERVED_ADDRESS', message: 'This address is reserved.' },
+        EOUT_OF_GAS: { code: 6, key: 'OUT_OF_GAS', message: 'The transaction ran out of gas.' },
+    },
+    aptos_account: {
+        EACCOUNT_NOT_FOUND: { code: 1, key: 'ACCOUNT_NOT_FOUND', message: 'The recipient account does not exist.' },
+        EACCOUNT_NOT_REGISTERED_FOR_APT: { code: 2, key: 'RECIPIENT_NOT_REGISTERED', message: 'The recipient cannot receive MOVE yet.' },
+        EACCOUNT_DOES_NOT_ACCEPT_DIRECT_COIN_TRANSFERS: { code: 3, key: 'RECIPIENT_REJECTS_COINS', message: 'The recipient does not accept direct coin transfers.' },
+    },
+};
+
+// sendmove at MODULE_ADDRESS. The deployed module has no error metadata, so its aborts arrive as bare
+// codes (e.g. 0x6000b). Entries match by constant name when the fullnode reports one, by `code` when
+// known (ABORT_CODES_FILE can add codes), and otherwise by `category` when it is the only entry in the
+// abort's std::error category.
+export const SENDMOVE_ABORT_CODES = {
+    ETRANSFER_NOT_FOUND: { category: 'NOT_FOUND', key: 'TRANSFER_NOT_FOUND', message: 'No transfer matches this code.' },
+    ETRANSFER_ALREADY_EXISTS: { category: 'ALREADY_EXISTS', key: 'TRANSFER_ALREADY_EXISTS', message: 'A transfer with this code already exists.' },
+    ETRANSFER_EXPIRED: { category: 'INVALID_STATE', key: 'TRANSFER_EXPIRED', message: 'This transfer code has expired.' },
+    ETRANSFER_NOT_EXPIRED: { category: 'INVALID_STATE', key: 'TRANSFER_NOT_EXPIRED', message: 'This transfer can only be reclaimed after it expires.' },
+    ETRANSFER_ALREADY_CLAIMED: { category: 'INVALID_STATE', key: 'TRANSFER_ALREADY_CLAIMED', message: 'This transfer has already been claimed.' },
+    EINVALID_CODE: { category: 'INVALID_ARGUMENT', key: 'INVALID_CODE', message: 'The transfer code is invalid.' },
+    EINVALID_AMOUNT: { category: 'INVALID_ARGUMENT', key: 'INVALID_AMOUNT', message: 'The amount must be greater than zero.' },
+    EINVALID_EXPIRATION: { category: 'INVALID_ARGUMENT', key: 'INVALID_EXPIRATION', message: 'The expiration time is invalid.' },
+    ENOT_SENDER: { category: 'PERMISSION_DENIED', key: 'NOT_SENDER', message: 'Only the sender can reclaim this transfer.' },
+    ECANNOT_CLAIM_OWN_TRANSFER: { category: 'PERMISSION_DENIED', key: 'CANNOT_CLAIM_OWN_TRANSFER', message: 'You cannot claim your own transfer.' },
+};
+
+// Non-abort VM statuses and mempool rejections
+export const VM_STATUS_CODES = {
+    OUT_OF_GAS: { key: 'OUT_OF_GAS', message: 'The transaction ran out of gas.' },
+    SEQUENCE_NUMBER_TOO_OLD: { key: 'SEQUENCE_NUMBER_TOO_OLD', message: 'This transaction was already submitted. Please try again.' },
+    SEQUENCE_NUMBER_TOO_NEW: { key: 'SEQUENCE_NUMBER_TOO_NEW', message: 'A previous transaction is still pending. Please try again.' },
+    INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE: { key: 'INSUFFICIENT_GAS_BALANCE', message: 'Not enough MOVE to pay the network fee.' },
+    INVALID_SIGNATURE: { key: 'INVALID_SIGNATURE', message: 'The transaction signature is invalid.' },
+    INVALID_AUTH_KEY: { key: 'INVALID_AUTH_KEY', message: 'The signing key does not match this account.' },
+    TRANSACTION_EXPIRED: { key: 'TRANSACTION_EXPIRED', message: 'The transaction expired before it was processed. Please try again.' },
+    MAX_GAS_UNITS_EXCEEDS_MAX_GAS_UNITS_BOUND: { key: 'GAS_LIMIT_TOO_HIGH', message: 'The gas limit is too high.' },
+};
+
+// Optional JSON file of extra entries: { "<module name>": { "<ECONSTANT>": { code, key, message } } }
+const loadExtraAbortCodes = () => {
+    if (!process.env.ABORT_CODES_FILE) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(process.env.ABORT_CODES_FILE, 'utf8'));
+    } catch (error) {
+        console.warn(`WARNING: Failed to load ABORT_CODES_FILE: ${error.message}`);
+        return {};
+    }
+};
+
+export const EXTRA_ABORT_CODES = loadExtraAbortCodes();
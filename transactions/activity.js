@@ -0,0 +1,232 @@
+// activity.js - List an account's transactions and classify them for the activity feed
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { summarizeBalanceChanges, gasFee } from './balance-changes.js';
+import { decodeVmStatus } from './vm-status.js';
+import { resolveAssetMetadata, formatAmount } from '../assets/metadata.js';
+
+export const ACTIVITY_TYPES = {
+    moveTransfer: 'move_transfer',
+    faTransfer: 'fa_transfer',
+    sendmoveCreate: 'sendmove_create',
+    sendmoveClaim: 'sendmove_claim',
+    sendmoveRefund: 'sendmove_refund',
+    faucetMint: 'faucet_mint',
+    entryFunction: 'entry_function',
+    other: 'other',
+};
+
+const MOVE_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+const NATIVE_FA = '0xa';
+
+// Transfer entry functions -> index of the recipient argument
+const TRANSFER_FUNCTIONS = {
+    '0x1::aptos_account::transfer': 0,
+    '0x1::aptos_account::transfer_coins': 0,
+    '0x1::coin::transfer': 0,
+    '0x1::aptos_account::transfer_fungible_assets': 1,
+    '0x1::primary_fungible_store::transfer': 1,
+    '0x1::aptos_account::batch_transfer': 0,
+    '0x1::aptos_account::batch_transfer_coins': 0,
+};
+
+const MINT_FUNCTIONS = ['0x1::aptos_coin::mint'];
+
+const SENDMOVE_FUNCTION_TYPES = {
+    create_transfer: ACTIVITY_TYPES.sendmoveCreate,
+    create_fa_transfer: ACTIVITY_TYPES.sendmoveCreate,
+    claim_transfer: ACTIVITY_TYPES.sendmoveClaim,
+    claim_fa_transfer: ACTIVITY_TYPES.sendmoveClaim,
+    refund_transfer: ACTIVITY_TYPES.sendmoveRefund,
+    refund_fa_transfer: ACTIVITY_TYPES.sendmoveRefund,
+};
+
+const ACCOUNT_TRANSACTIONS_QUERY = `
+    query AccountTransactions($address: String, $offset: Int, $limit: Int) {
+        account_transactions(
+            where: { account_address: { _eq: $address } }
+            order_by: { transaction_version: desc }
+            offset: $offset
+            limit: $limit
+        ) {
+            transaction_version
+        }
+    }
+`;
+
+// Helper: Canonical form for comparing addresses; non-addresses (coin types, odd args) pass through
+const normalizeAddress = (value) => {
+    try {
+        return AccountAddress.from(value).toString();
+    } catch {
+        return value;
+    }
+};
+
+const isMoveAsset = (asset) => asset === MOVE_COIN_TYPE || normalizeAddress(asset) === NATIVE_FA;
+
+// Helper: Recipients named in a transfer payload (batch transfers take a vector)
+const transferRecipients = (func, args = []) => {
+    const recipients = args[TRANSFER_FUNCTIONS[func]];
+    return (Array.isArray(recipients) ? recipients : [recipients]).filter(Boolean).map(normalizeAddress);
+};
+
+// Helper: Whether a transfer payload moves MOVE - used when there are no balance events (failed transactions)
+const payloadTransfersMove = (func, payload) => {
+    if (func === '0x1::aptos_account::transfer' || func === '0x1::aptos_account::batch_transfer') return true;
+    if ((payload.type_arguments || []).includes(MOVE_COIN_TYPE)) return true;
+
+    const metadata = payload.arguments?.[0];
+    return func !== '0x1::coin::transfer' && isMoveAsset(metadata?.inner ?? metadata);
+};
+
+// Helper: Addresses named in sendmove event data
+const sendmoveParties = (events, moduleAddress) => events
+    .filter((event) => event.type.startsWith(`${moduleAddress}::sendmove::`))
+    .flatMap((event) => [event.data?.sender, event.data?.claimer])
+    .filter(Boolean)
+    .map(normalizeAddress);
+
+/**
+ * Classify a committed transaction from the point of view of `account`.
+ * Returns the activity type, counterparties and the account's own balance deltas (raw amounts).
+ */
+export function classifyTransaction(txn, { account, moduleAddress, faucetAccounts = [] }) {
+    const self = normalizeAddress(account);
+    const sender = txn.sender ? normalizeAddress(txn.sender) : null;
+    const payload = txn.payload || {};
+    const func = payload.type === 'entry_function_payload' ? payload.function : null;
+    const [funcAddress, funcModule, funcName] = func ? func.split('::') : [];
+    const baseFunc = func ? `${normalizeAddress(funcAddress)}::${funcModule}::${funcName}` : null;
+
+    const changes = summarizeBalanceChanges(txn).map((change) => ({ ...change, address: normalizeAddress(change.address) }));
+    const ownChanges = changes.filter((change) => change.address === self);
+    const others = [...new Set(changes.map((change) => change.address).filter((address) => address !== self))];
+
+    let type;
+    let counterparties = others;
+
+    if (txn.type !== 'user_transaction') {
+        type = ACTIVITY_TYPES.other;
+    } else if (funcModule === 'sendmove' && normalizeAddress(funcAddress) === normalizeAddress(moduleAddress)) {
+        type = SENDMOVE_FUNCTION_TYPES[funcName] || ACTIVITY_TYPES.entryFunction;
+        counterparties = [...new Set([sender, ...sendmoveParties(txn.events || [], moduleAddress)])]
+            .filter((address) => address && address !== self);
+    } else if (MINT_FUNCTIONS.includes(baseFunc) || faucetAccounts.map(normalizeAddress).includes(sender)) {
+        type = ACTIVITY_TYPES.faucetMint;
+    } else if (baseFunc in TRANSFER_FUNCTIONS) {
+        const movedAssets = changes.map((change) => change.asset).filter(Boolean);
+        const isMove = movedAssets.length > 0 ? movedAssets.every(isMoveAsset) : payloadTransfersMove(baseFunc, payload);
+        type = isMove ? ACTIVITY_TYPES.moveTransfer : ACTIVITY_TYPES.faTransfer;
+        counterparties = sender === self ? transferRecipients(baseFunc, payload.arguments) : [sender];
+    } else {
+        type = func ? ACTIVITY_TYPES.entryFunction : ACTIVITY_TYPES.other;
+    }
+
+    let direction = null;
+    if (ownChanges.length > 0) {
+        const hasIn = ownChanges.some((change) => !change.amount.startsWith('-'));
+        const hasOut = ownChanges.some((change) => change.amount.startsWith('-'));
+        direction = hasIn && hasOut ? 'mixed' : hasIn ? 'in' : 'out';
+    } else if (sender && counterparties.length > 0) {
+        direction = sender === self ? 'out' : 'in';
+    }
+
+    return {
+        type,
+        function: func,
+        sender,
+        direction,
+        counterparties,
+        amounts: ownChanges.map((change) => ({ asset: change.asset, amount: change.amount })),
+    };
+}
+
+/**
+ * Full activity entry: classification plus asset metadata, formatted amounts, gas and decoded failure.
+ */
+export async function describeActivity(aptos, txn, { networkKey, account, moduleAddress, faucetAccounts }) {
+    const classified = classifyTransaction(txn, { account, moduleAddress, faucetAccounts });
+
+    const amounts = await Promise.all(classified.amounts.map(async ({ asset, amount }) => {
+        try {
+            const metadata = await resolveAssetMetadata(aptos, { networkKey, asset });
+            return {
+                asset,
+                amount,
+                formatted: formatAmount(amount, metadata.decimals),
+                symbol: metadata.symbol,
+                name: metadata.name,
+                decimals: metadata.decimals,
+                iconUri: metadata.iconUri,
+            };
+        } catch {
+            return { asset, amount, formatted: null, symbol: null, name: null, decimals: null, iconUri: null };
+        }
+    }));
+
+    const success = txn.success !== false;
+
+    return {
+        version: txn.version,
+        hash: txn.hash,
+        timestamp: txn.timestamp ? new Date(Number(txn.timestamp) / 1000).toISOString() : null,
+        success,
+        vmStatus: txn.vm_status,
+        failure: success ? null : decodeVmStatus(txn.vm_status, { moduleAddress }),
+        ...classified,
+        amounts,
+        gasFee: gasFee(txn),
+        gasPayer: txn.signature?.type === 'fee_payer_signature'
+            ? normalizeAddress(txn.signature.fee_payer_address)
+            : classified.sender,
+    };
+}
+
+/**
+ * One page of an account's transactions, newest first.
+ * With an indexer this covers everything touching the account (including incoming transfers);
+ * otherwise only transactions the account sent, and the page is flagged `incomplete`.
+ */
+export async function listAccountTransactions(aptos, { address, offset, limit, useIndexer }) {
+    const accountAddress = AccountAddress.from(address);
+
+    if (useIndexer) {
+        const { account_transactions: rows } = await aptos.queryIndexer({
+            query: {
+                query: ACCOUNT_TRANSACTIONS_QUERY,
+                variables: { address: accountAddress.toStringLong(), offset, limit: limit + 1 },
+            },
+        });
+
+        const transactions = await Promise.all(rows.slice(0, limit).map((row) =>
+            aptos.getTransactionByVersion({ ledgerVersion: BigInt(row.transaction_version) })
+        ));
+
+        return { transactions, hasMore: rows.length > limit, source: 'indexer', incomplete: false };
+    }
+
+    let sequenceNumber;
+    try {
+        const info = await aptos.getAccountInfo({ accountAddress });
+        sequenceNumber = Number(info.sequence_number);
+    } catch (error) {
+        if (error?.status === 404) {
+            return { transactions: [], hasMore: false, source: 'account', incomplete: true };
+        }
+        throw error;
+    }
+
+    // Sent transactions are addressed by sequence number; walk back from the newest
+    const end = Math.max(0, sequenceNumber - offset);
+    const start = Math.max(0, end - limit);
+    if (end === start) {
+        return { transactions: [], hasMore: false, source: 'account', incomplete: true };
+    }
+
+    const transactions = await aptos.getAccountTransactions({
+        accountAddress,
+        options: { offset: start, limit: end - start },
+    });
+
+    return { transactions: transactions.reverse(), hasMore: start > 0, source: 'account', incomplete: true };
+}
@@ -0,0 +1,200 @@
+// authenticators.js - Build account authenticators from typed JSON payloads
+//
+// Supported payloads (hex strings, 0x optional):
+//   { type: 'ed25519', publicKey, signature }
+//   { type: 'single_key', scheme: 'ed25519' | 'secp256k1' | 'keyless', publicKey, signature }
+//       keyless: publicKey / signature are the BCS-serialized AnyPublicKey / AnySignature
+//   { type: 'multi_key', publicKeys: [{ scheme, publicKey }], signaturesRequired, signatures: [{ index, scheme, signature }] }
+//   { type: 'multi_ed25519', publicKeys: [hex], threshold, signatures: [{ index, signature }] }
+import {
+    AccountAuthenticatorEd25519,
+    AccountAuthenticatorSingleKey,
+    AccountAuthenticatorMultiKey,
+    AccountAuthenticatorMultiEd25519,
+    AnyPublicKey,
+    AnySignature,
+    Deserializer,
+    Ed25519PublicKey,
+    Ed25519Signature,
+    Hex,
+    MultiEd25519PublicKey,
+    MultiEd25519Signature,
+    MultiKey,
+    MultiKeySignature,
+    Secp256k1PublicKey,
+    Secp256k1Signature,
+} from '@aptos-labs/ts-sdk';
+
+export const AUTHENTICATOR_TYPES = ['ed25519', 'single_key', 'multi_key', 'multi_ed25519'];
+const SINGLE_KEY_SCHEMES = ['ed25519', 'secp256k1', 'keyless'];
+
+const fail = (message) => {
+    throw new Error(message);
+};
+
+const toBytes = (value, field) => {
+    if (typeof value !== 'string' || value.length === 0) {
+        fail(`${field} must be a hex string`);
+    }
+    try {
+        return Hex.fromHexInput(value.startsWith('0x') ? value : `0x${value}`).toUint8Array();
+    } catch {
+        fail(`${field} is not valid hex`);
+    }
+};
+
+const expectLength = (bytes, lengths, field) => {
+    if (!lengths.includes(bytes.length)) {
+        fail(`${field} must be ${lengths.join(' or ')} bytes, got ${bytes.length}`);
+    }
+    return bytes;
+};
+
+// Privy sometimes prefixes Ed25519 keys with a 00 byte
+const ed25519PublicKey = (value, field) => {
+    let bytes = toBytes(value, field);
+    if (bytes.length === 33 && bytes[0] === 0) {
+        bytes = bytes.slice(1);
+    }
+    return new Ed25519PublicKey(expectLength(bytes, [Ed25519PublicKey.LENGTH], field));
+};
+
+const ed25519Signature = (value, field) => {
+    return new Ed25519Signature(expectLength(toBytes(value, field), [Ed25519Signature.LENGTH], field));
+};
+
+// Accepts the 65-byte recoverable (r, s, v) form and drops the recovery id
+const secp256k1Signature = (value, field) => {
+    const bytes = expectLength(toBytes(value, field), [64, 65], field);
+    return new Secp256k1Signature(bytes.slice(0, 64));
+};
+
+const secp256k1PublicKey = (value, field) => {
+    return new Secp256k1PublicKey(expectLength(toBytes(value, field), [33, 65], field));
+};
+
+const anyPublicKey = (scheme, value, field) => {
+    switch (scheme) {
+        case 'ed25519':
+            return new AnyPublicKey(ed25519PublicKey(value, field));
+        case 'secp256k1':
+            return new AnyPublicKey(secp256k1PublicKey(value, field));
+        case 'keyless':
+            return AnyPublicKey.deserialize(new Deserializer(toBytes(value, field)));
+        default:
+            return fail(`${field} scheme must be one of: ${SINGLE_KEY_SCHEMES.join(', ')}`);
+    }
+};
+
+const anySignature = (scheme, value, field) => {
+    switch (scheme) {
+        case 'ed25519':
+            return new AnySignature(ed25519Signature(value, field));
+        case 'secp256k1':
+            return new AnySignature(secp256k1Signature(value, field));
+        case 'keyless':
+            return AnySignature.deserialize(new Deserializer(toBytes(value, field)));
+        default:
+            return fail(`${field} scheme must be one of: ${SINGLE_KEY_SCHEMES.join(', ')}`);
+    }
+};
+
+const expectArray = (value, field) => {
+    if (!Array.isArray(value) || value.length === 0) {
+        fail(`${field} must be a non-empty array`);
+    }
+    return value;
+};
+
+const expectCount = (value, field, max) => {
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        fail(`${field} must be an integer between 1 and ${max}`);
+    }
+    return value;
+};
+
+// Signatures must be ordered by signer index to match the bitmap
+const sortedSignatures = (signatures, keyCount) => {
+    const seen = new Set();
+    return expectArray(signatures, 'signatures')
+        .map((entry, i) => {
+            if (!Number.isInteger(entry?.index) || entry.index < 0 || entry.index >= keyCount) {
+                fail(`signatures[${i}].index must be an integer between 0 and ${keyCount - 1}`);
+            }
+            if (seen.has(entry.index)) {
+                fail(`signatures[${i}].index ${entry.index} is duplicated`);
+            }
+            seen.add(entry.index);
+            return entry;
+        })
+        .sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Parse the public key part of an authenticator payload.
+ * Returns the SDK PublicKey the authenticator (or a simulation) is built from.
+ */
+export function parseAuthenticatorPublicKey(payload) {
+    if (!payload || typeof payload !== 'object') {
+        fail('authenticator must be an object');
+    }
+
+    switch (payload.type) {
+        case 'ed25519':
+            return ed25519PublicKey(payload.publicKey, 'publicKey');
+        case 'single_key':
+            return anyPublicKey(payload.scheme, payload.publicKey, 'publicKey');
+        case 'multi_key': {
+            const publicKeys = expectArray(payload.publicKeys, 'publicKeys')
+                .map((entry, i) => anyPublicKey(entry?.scheme, entry?.publicKey, `publicKeys[${i}]`));
+            const signaturesRequired = expectCount(payload.signaturesRequired, 'signaturesRequired', publicKeys.length);
+            return new MultiKey({ publicKeys, signaturesRequired });
+        }
+        case 'multi_ed25519': {
+            const publicKeys = expectArray(payload.publicKeys, 'publicKeys')
+                .map((value, i) => ed25519PublicKey(value, `publicKeys[${i}]`));
+            const threshold = expectCount(payload.threshold, 'threshold', publicKeys.length);
+            return new MultiEd25519PublicKey({ publicKeys, threshold });
+        }
+        default:
+            return fail(`authenticator.type must be one of: ${AUTHENTICATOR_TYPES.join(', ')}`);
+    }
+}
+
+/**
+ * Parse a typed authenticator payload into an SDK AccountAuthenticator.
+ * Throws with a client-facing message on invalid input.
+ */
+export function parseAuthenticator(payload) {
+    const publicKey = parseAuthenticatorPublicKey(payload);
+
+    switch (payload.type) {
+        case 'ed25519':
+            return new AccountAuthenticatorEd25519(publicKey, ed25519Signature(payload.signature, 'signature'));
+        case 'single_key':
+            return new AccountAuthenticatorSingleKey(publicKey, anySignature(payload.scheme, payload.signature, 'signature'));
+        case 'multi_key': {
+            const entries = sortedSignatures(payload.signatures, publicKey.publicKeys.length);
+            if (entries.length < publicKey.signaturesRequired) {
+                fail(`At least ${publicKey.signaturesRequired} signatures are required`);
+            }
+            const signatures = entries.map((entry, i) => {
+                const scheme = entry.scheme || payload.publicKeys[entry.index].scheme;
+                return anySignature(scheme, entry.signature, `signatures[${i}]`);
+            });
+            const bitmap = MultiKeySignature.createBitmap({ bits: entries.map((entry) => entry.index) });
+            return new AccountAuthenticatorMultiKey(publicKey, new MultiKeySignature({ signatures, bitmap }));
+        }
+        case 'multi_ed25519': {
+            const entries = sortedSignatures(payload.signatures, publicKey.publicKeys.length);
+            if (entries.length < publicKey.threshold) {
+                fail(`At least ${publicKey.threshold} signatures are required`);
+            }
+            const signatures = entries.map((entry, i) => ed25519Signature(entry.signature, `signatures[${i}]`));
+            const bitmap = MultiEd25519Signature.createBitmap({ bits: entries.map((entry) => entry.index) });
+            return new AccountAuthenticatorMultiEd25519(publicKey, new MultiEd25519Signature({ signatures, bitmap }));
+        }
+        default:
+            return fail(`authenticator.type must be one of: ${AUTHENTICATOR_TYPES.join(', ')}`);
+    }
+}
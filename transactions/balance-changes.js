@@ -0,0 +1,94 @@
+// balance-changes.js - Derive per-account balance deltas from transaction events
+
+const COIN_DEPOSIT_EVENTS = ['0x1::coin::CoinDeposit', '0x1::coin::DepositEvent'];
+const COIN_WITHDRAW_EVENTS = ['0x1::coin::CoinWithdraw', '0x1::coin::WithdrawEvent'];
+const FA_DEPOSIT_EVENT = '0x1::fungible_asset::Deposit';
+const FA_WITHDRAW_EVENT = '0x1::fungible_asset::Withdraw';
+
+// Map each fungible store touched by the transaction to its owner and metadata,
+// using the resources written to the store object
+function indexFungibleStores(changes = []) {
+    const stores = new Map();
+
+    for (const change of changes) {
+        if (change.type !== 'write_resource' || !change.data) continue;
+
+        const { type, data } = change.data;
+        const entry = stores.get(change.address) || {};
+
+        if (type === '0x1::fungible_asset::FungibleStore') {
+            entry.asset = data.metadata?.inner || null;
+        } else if (type === '0x1::object::ObjectCore') {
+            entry.owner = data.owner;
+        } else {
+            continue;
+        }
+
+        stores.set(change.address, entry);
+    }
+
+    return stores;
+}
+
+function resolveEventDelta(event, stores) {
+    const { type, data = {} } = event;
+    const amount = BigInt(data.amount ?? 0);
+
+    if (COIN_DEPOSIT_EVENTS.includes(type) || COIN_WITHDRAW_EVENTS.includes(type)) {
+        return {
+            // Legacy handle events carry the account in the GUID instead of the payload
+            address: data.account || event.guid?.account_address,
+            asset: data.coin_type || null,
+            amount: COIN_DEPOSIT_EVENTS.includes(type) ? amount : -amount,
+        };
+    }
+
+    if (type === FA_DEPOSIT_EVENT || type === FA_WITHDRAW_EVENT) {
+        const store = stores.get(data.store) || {};
+        return {
+            address: store.owner || data.store,
+            asset: store.asset || null,
+            store: data.store,
+            amount: type === FA_DEPOSIT_EVENT ? amount : -amount,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Net balance change per (address, asset) for a committed or simulated transaction.
+ * Gas is not included here - it is burned without a withdraw event, see `gasFee`.
+ */
+export function summarizeBalanceChanges(txn) {
+    const stores = indexFungibleStores(txn.changes);
+    const totals = new Map();
+
+    for (const event of txn.events || []) {
+        const delta = resolveEventDelta(event, stores);
+        if (!delta || !delta.address) continue;
+
+        const key = `${delta.address}:${delta.asset}`;
+        const existing = totals.get(key);
+        if (existing) {
+            existing.amount += delta.amount;
+        } else {
+            totals.set(key, { address: delta.address, asset: delta.asset, amount: delta.amount });
+        }
+    }
+
+    return [...totals.values()]
+        .filter((entry) => entry.amount !== 0n)
+        .map((entry) => ({ ...entry, amount: entry.amount.toString() }));
+}
+
+export function gasFee(txn) {
+    return (BigInt(txn.gas_used || 0) * BigInt(txn.gas_unit_price || 0)).toString();
+}
+
+export function formatEvents(events = []) {
+    return events.map((event) => ({
+        type: event.type,
+        data: event.data,
+    }));
+}
@@ -0,0 +1,121 @@
+// vm-status.js - Parse and decode Move aborts out of a transaction vm_status string
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import {
+    ERROR_CATEGORIES,
+    FRAMEWORK_ABORT_CODES,
+    SENDMOVE_ABORT_CODES,
+    VM_STATUS_CODES,
+    EXTRA_ABORT_CODES,
+} from './abort-codes.js';
+
+// e.g. "Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins to complete transaction"
+//      "Move abort in 0xfcd3...::sendmove: 0x6000b"
+const MOVE_ABORT_PATTERN = /Move abort in (0x[0-9a-fA-F]+)::(\w+): (?:(\w+)\()?(0x[0-9a-fA-F]+|\d+)\)?(?::\s*(.*))?$/;
+
+/**
+ * Returns `{ moduleAddress, moduleName, code, reason, description }` for a Move abort,
+ * or null when the vm_status is not an abort (success, out of gas, etc.).
+ */
+export function parseMoveAbort(vmStatus) {
+    if (typeof vmStatus !== 'string') {
+        return null;
+    }
+
+    const match = vmStatus.trim().match(MOVE_ABORT_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const [, moduleAddress, moduleName, reason, rawCode, description] = match;
+
+    return {
+        moduleAddress,
+        moduleName,
+        code: Number(rawCode),
+        reason: reason || null,
+        description: description || null,
+    };
+}
+
+const lookupAbortEntry = (table, abort) => {
+    if (!table) {
+        return null;
+    }
+
+    if (abort.reason && table[abort.reason]) {
+        return { name: abort.reason, ...table[abort.reason] };
+    }
+
+    const reasonCode = abort.code & 0xffff;
+    const match = Object.entries(table).find(([, entry]) => entry.code === reasonCode);
+    if (match) {
+        return { name: match[0], ...match[1] };
+    }
+
+    // Entries without a known code: only when the category leaves a single candidate
+    const category = ERROR_CATEGORIES[(abort.code >> 16) & 0xff]?.name;
+    const candidates = Object.entries(table).filter(([, entry]) => entry.code === undefined && entry.category && entry.category === category);
+    return candidates.length === 1 ? { name: candidates[0][0], ...candidates[0][1] } : null;
+};
+
+const abortTableFor = (abort, moduleAddress) => {
+    const address = AccountAddress.from(abort.moduleAddress);
+
+    if (moduleAddress && abort.moduleName === 'sendmove' && address.equals(AccountAddress.from(moduleAddress))) {
+        return { ...SENDMOVE_ABORT_CODES, ...EXTRA_ABORT_CODES.sendmove };
+    }
+
+    if (address.equals(AccountAddress.ONE)) {
+        return { ...FRAMEWORK_ABORT_CODES[abort.moduleName], ...EXTRA_ABORT_CODES[abort.moduleName] };
+    }
+
+    return null;
+};
+
+/**
+ * Decode a vm_status (or mempool error message) into a stable error key and user-facing message.
+ * Returns null for successful transactions.
+ *
+ * { key, message, module, category, code, reason, vmStatus }
+ */
+export function decodeVmStatus(vmStatus, { moduleAddress } = {}) {
+    if (typeof vmStatus !== 'string' || vmStatus === '' || vmStatus === 'Executed successfully') {
+        return null;
+    }
+
+    const abort = parseMoveAbort(vmStatus);
+
+    if (!abort) {
+        const statusName = Object.keys(VM_STATUS_CODES).find((name) => vmStatus.includes(name))
+            || (/out of gas/i.test(vmStatus) ? 'OUT_OF_GAS' : null);
+        const entry = statusName ? VM_STATUS_CODES[statusName] : null;
+
+        return {
+            key: entry ? entry.key : 'EXECUTION_FAILED',
+            message: entry ? entry.message : 'The transaction could not be executed.',
+            module: null,
+            category: null,
+            code: null,
+            reason: statusName,
+            vmStatus,
+        };
+    }
+
+    const category = ERROR_CATEGORIES[(abort.code >> 16) & 0xff] || null;
+    const entry = lookupAbortEntry(abortTableFor(abort, moduleAddress), abort);
+
+    return {
+        key: entry ? entry.key : `MOVE_ABORT_${category ? category.name : 'UNKNOWN'}`,
+        message: entry ? entry.message : (category ? category.message : 'The transaction was aborted.'),
+        module: `${abort.moduleAddress}::${abort.moduleName}`,
+        category: category ? category.name : null,
+        code: abort.code,
+        reason: entry ? entry.name : abort.reason,
+        vmStatus,
+    };
+}
+
+// Helper: vm_status carried by an SDK error (view/submit failures), falling back to the error message
+export function vmStatusFromError(error) {
+    return error?.data?.message || error?.data?.vm_status || error?.message || '';
+}
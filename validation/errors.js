@@ -0,0 +1,90 @@
+// errors.js - The one error envelope every endpoint answers with
+//
+//   { "error": "<human readable message>", "code": "<MACHINE_CODE>", "details"?: ..., "fields"?: [...] }
+//
+// `fields` lists every invalid input as { field, code, message } (field is e.g. `body.sender`).
+// Some routes add context next to these keys (`index`, `failure`, `correctNetwork`, `expiration`).
+
+export const ERROR_CODES = {
+    // Request validation (400)
+    INVALID_REQUEST: 'The request has one or more invalid fields (see `fields`)',
+    INVALID_JSON: 'The body is not valid JSON',
+    MISSING_FIELD: 'A required field is missing',
+    INVALID_ADDRESS: 'Not a valid account address',
+    INVALID_HEX: 'Not valid hex, or the wrong number of bytes',
+    INVALID_U64: 'Not an integer in the u64 range',
+    INVALID_INTEGER: 'Not an integer in the allowed range',
+    INVALID_BOOLEAN: 'Not true or false',
+    INVALID_STRING: 'Not a string of the allowed length or format',
+    INVALID_ENUM: 'Not one of the allowed values',
+    INVALID_ARRAY: 'Not a list, or the wrong number of items',
+    INVALID_OBJECT: 'Not an object',
+    INVALID_FIELD: 'The field is malformed (see the message)',
+    UNKNOWN_NETWORK: 'The network is not configured (see GET /networks)',
+    FIELD_NOT_ALLOWED: 'The field can not be set by the caller',
+    INVALID_AUTHENTICATOR: 'The signature payload could not be parsed',
+    INVALID_TRANSACTION: 'rawTxnHex is not a serialized transaction',
+    CHAIN_ID_MISMATCH: 'The transaction was built for a different chain than the requested network',
+    INVALID_SIGNED_MESSAGE: "The signed message doesn't match the challenge (see `details`)",
+    INVALID_WEBHOOK: 'The webhook registration was rejected',
+    INVALID_ARGUMENT: "A view argument doesn't match the function's parameter type",
+    NOT_A_VIEW_FUNCTION: 'The function exists but is not marked #[view]',
+    VIEW_FAILED: 'The view function aborted (see `failure`)',
+
+    // Authentication (401, 403, 503)
+    UNAUTHORIZED: 'No valid API key or access token',
+    FORBIDDEN: 'The client lacks the scope for this route',
+    VIEW_NOT_ALLOWED: 'The module is not on the view allowlist',
+    ADMIN_DISABLED: 'No admin client is configured',
+    INVALID_CHALLENGE: 'The sign-in challenge is unknown, expired, used or for another account',
+    INVALID_SIGNATURE: 'The signature does not verify against the message and public key',
+    AUTH_KEY_MISMATCH: "The public key is not the account's current authentication key",
+    WALLET_SESSION_REQUIRED: 'No valid wallet session token in X-Wallet-Session',
+    WALLET_SESSION_MISMATCH: 'The wallet session belongs to another account or network',
+    WALLET_AUTH_UNAVAILABLE: 'Wallet sign-in is not configured (no WALLET_SESSION_SECRET)',
+
+    // Limits (429)
+    RATE_LIMITED: 'Too many requests, see Retry-After',
+    FAUCET_COOLDOWN: 'The address or client was funded recently, see Retry-After',
+    FAUCET_BUDGET_EXHAUSTED: "The faucet's daily budget is spent, see Retry-After",
+    FAUCET_AMOUNT_TOO_LARGE: 'The faucet amount is above the per-request maximum',
+
+    // Lookups (404)
+    NOT_FOUND: 'No such endpoint',
+    TRANSACTION_NOT_FOUND: 'No transaction with this hash',
+    TRANSFER_NOT_FOUND: 'No transfer for this code',
+    ASSET_NOT_FOUND: 'No fungible asset metadata at this address',
+    FUNCTION_NOT_FOUND: 'No such module or function on this network',
+    WEBHOOK_NOT_FOUND: 'No webhook with this id',
+    DELIVERY_NOT_FOUND: 'No delivery with this id',
+
+    // State conflicts (403, 409)
+    WRONG_NETWORK: 'The transfer exists on another network (see `correctNetwork`)',
+    TRANSFER_EXPIRED: 'The transfer has expired',
+    TRANSFER_NOT_EXPIRED: 'The transfer can only be reclaimed after it expires',
+    NOT_TRANSFER_SENDER: 'Only the sender can reclaim the transfer',
+    SPONSORSHIP_UNAVAILABLE: 'Sponsored transactions are not enabled',
+    SPONSORSHIP_REJECTED: 'The transaction is not eligible for sponsorship',
+    FEE_PAYER_MISMATCH: 'The fee payer is not the backend sponsor',
+
+    // Unavailable features (400, 503)
+    FAUCET_UNAVAILABLE: 'The network has no faucet',
+    INDEXER_REQUIRED: 'The route needs an indexer for this network',
+    EMAIL_UNAVAILABLE: 'Email delivery is not configured',
+    SUBSCRIPTIONS_FULL: 'Too many open subscriptions',
+
+    // Everything else (500, 504)
+    INTERNAL_ERROR: 'The request failed on the server or the node',
+    RPC_TIMEOUT: 'The fullnodes did not answer in time',
+};
+
+/**
+ * Error response body. `extra` carries `details`, `fields` or route-specific context.
+ */
+export function errorBody(code, error, extra = {}) {
+    return { error, code, ...extra };
+}
+
+export function sendError(res, status, code, error, extra) {
+    return res.status(status).json(errorBody(code, error, extra));
+}
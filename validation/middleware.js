@@ -0,0 +1,35 @@
+// middleware.js - Validate a request against its schema before the handler runs
+import { ValidationError, parseShape } from './validators.js';
+import { sendError } from './errors.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Express middleware for a `{ params?, query?, body? }` schema (see schemas.js). Parsed values land
+ * in `req.valid.params` / `.query` / `.body`; any invalid field answers 400 INVALID_REQUEST with
+ * every problem listed in `fields`.
+ */
+export function validate(schema) {
+    return (req, res, next) => {
+        const valid = {};
+        const issues = [];
+
+        for (const location of LOCATIONS) {
+            if (!schema[location]) continue;
+            try {
+                valid[location] = parseShape(schema[location], req[location] || {}, location);
+            } catch (error) {
+                if (!(error instanceof ValidationError)) return next(error);
+                issues.push(...error.issues);
+            }
+        }
+
+        if (issues.length > 0) {
+            const message = issues.length > 1 ? `${issues[0].message} (and ${issues.length - 1} more)` : issues[0].message;
+            return sendError(res, 400, 'INVALID_REQUEST', message, { fields: issues });
+        }
+
+        req.valid = valid;
+        next();
+    };
+}
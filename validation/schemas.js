@@ -0,0 +1,359 @@
+// schemas.js - Request schemas for every route, used with validate() from middleware.js
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { AUTHENTICATOR_TYPES } from '../transactions/authenticators.js';
+import { parseClaimCode, parseCodeHash, parseExpiration } from '../sendmove/transfers.js';
+import { WEBHOOK_EVENTS } from '../webhooks/dispatcher.js';
+import { NOTE_MAX_LENGTH, SENDER_NAME_MAX_LENGTH } from '../email/templates.js';
+import { isNetwork, listNetworkKeys } from '../networks/registry.js';
+import {
+    address,
+    any,
+    array,
+    boolean,
+    custom,
+    hex,
+    integer,
+    object,
+    oneOf,
+    optional,
+    string,
+    u64,
+} from './validators.js';
+
+export const BATCH_MAX_TRANSACTIONS = 10;
+export const FA_BALANCE_MAX_ASSETS = 20;
+
+// Plain address-like email check; the transport does the real validation
+export const EMAIL_PATTERN = /^[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[^\s@<>()"',;:]+$/;
+
+// ---- Shared fields ----
+
+// A key from the network registry; unknown networks are rejected rather than replaced by the default
+const networkKey = custom((value) => {
+    if (!isNetwork(value)) {
+        throw new Error(`unknown network "${value}" (configured: ${listNetworkKeys().join(', ')})`);
+    }
+    return value;
+}, 'UNKNOWN_NETWORK');
+
+const network = optional(networkKey);
+
+const entryFunction = string({
+    maxLength: 256,
+    pattern: /^0x[0-9a-fA-F]{1,64}::[A-Za-z_]\w*::[A-Za-z_]\w*$/,
+    format: 'an entry function id like 0x1::module::function',
+});
+
+const entryFunctionCall = {
+    function: entryFunction,
+    typeArguments: optional(array(string({ maxLength: 512 }), { maxItems: 32 }), []),
+    functionArguments: array(any(), { maxItems: 64 }),
+};
+
+// Typed authenticator (checked in full by transactions/authenticators.js) or legacy Ed25519 fields
+const signerFields = {
+    authenticator: optional(object({ type: oneOf(AUTHENTICATOR_TYPES) }, { passthrough: true })),
+    publicKey: optional(hex()),
+};
+
+const signedTransaction = {
+    rawTxnHex: hex(),
+    ...signerFields,
+    signature: optional(hex()),
+};
+
+const pagination = (defaultLimit, maxLimit) => ({
+    offset: optional(integer({ min: 0 }), 0),
+    limit: optional(integer({ min: 1, max: maxLimit }), defaultLimit),
+});
+
+const addressParams = { address: address() };
+
+const claimCode = custom(parseClaimCode);
+const codeHash = custom(parseCodeHash, 'INVALID_HEX');
+
+const uuid = string({
+    maxLength: 36,
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    format: 'a UUID',
+});
+
+// One or more comma-separated metadata addresses, normalized and de-duplicated
+const assetList = custom((value) => {
+    const assets = [...new Set(String(value).split(',').map((asset) => AccountAddress.from(asset.trim()).toString()))];
+    if (assets.length > FA_BALANCE_MAX_ASSETS) {
+        throw new Error(`at most ${FA_BALANCE_MAX_ASSETS} assets per request`);
+    }
+    return assets;
+}, 'INVALID_ADDRESS');
+
+// ?format=decimal (or ?formatted=true) asks for decimal-formatted amounts
+const formatQuery = {
+    format: optional(oneOf(['raw', 'decimal'])),
+    formatted: optional(boolean(), false),
+};
+
+// ---- Transactions ----
+
+export const generateHash = {
+    body: {
+        sender: address(),
+        ...entryFunctionCall,
+        sponsored: optional(boolean(), false),
+        network,
+    },
+};
+
+export const simulateTransaction = {
+    body: {
+        sender: address(),
+        ...entryFunctionCall,
+        ...signerFields,
+        sponsored: optional(boolean(), false),
+        network,
+    },
+};
+
+export const generateBatchHash = {
+    body: {
+        sender: address(),
+        transactions: array(object(entryFunctionCall), { minItems: 1, maxItems: BATCH_MAX_TRANSACTIONS }),
+        sponsored: optional(boolean(), false),
+        orderless: optional(boolean(), false),
+        network,
+    },
+};
+
+export const submitTransaction = {
+    body: {
+        ...signedTransaction,
+        waitForCommit: optional(boolean(), true),
+        network,
+    },
+};
+
+export const submitBatch = {
+    body: {
+        transactions: array(object(signedTransaction), { minItems: 1, maxItems: BATCH_MAX_TRANSACTIONS }),
+        waitForCommit: optional(boolean(), true),
+        network,
+    },
+};
+
+export const transactionStatus = {
+    params: { hash: hex({ bytes: 32 }) },
+    query: { network },
+};
+
+export const sponsorStatus = {
+    query: { address: optional(address()) },
+};
+
+// ---- Faucet and admin ----
+
+export const faucet = {
+    body: {
+        address: address(),
+        amount: u64({ min: 1n }),
+        network,
+    },
+};
+
+export const faucetGrants = {
+    query: {
+        network,
+        address: optional(address()),
+        ip: optional(string({ maxLength: 64 })),
+        status: optional(oneOf(['pending', 'granted', 'failed', 'rejected'])),
+        since: optional(integer({ min: 0 })),
+        ...pagination(50, 200),
+    },
+};
+
+export const clientUsage = {
+    query: {
+        clientId: optional(string({ maxLength: 128 })),
+        days: optional(integer({ min: 1, max: 90 }), 7),
+    },
+};
+
+// ---- Accounts and assets ----
+
+export const balance = {
+    params: addressParams,
+    query: { network, ...formatQuery },
+};
+
+export const faBalance = {
+    params: { owner: address(), asset: assetList },
+    query: { network, ...formatQuery },
+};
+
+export const faMetadata = {
+    params: { asset: address() },
+    query: { network },
+};
+
+export const accountInfo = {
+    params: addressParams,
+    query: { network },
+};
+
+export const activity = {
+    params: addressParams,
+    query: { network, ...pagination(25, 100) },
+};
+
+export const ownedObjects = {
+    params: addressParams,
+    query: { network },
+};
+
+export const portfolio = {
+    params: addressParams,
+    query: { network },
+};
+
+// ---- Generic views ----
+
+export const view = {
+    body: {
+        ...entryFunctionCall,
+        // Read at this ledger version instead of the latest
+        ledgerVersion: optional(u64()),
+        network,
+    },
+};
+
+// ---- Send-by-code transfers ----
+
+export const viewTransfer = {
+    body: {
+        // On-chain code hash, as stored in sendmove events
+        code: hex({ bytes: 32 }),
+        network,
+    },
+};
+
+export const createTransfer = {
+    body: {
+        sender: address(),
+        amount: u64({ min: 1n }),
+        expiresInSecs: optional(custom(parseExpiration, 'INVALID_INTEGER'), parseExpiration()),
+        sponsored: optional(boolean(), false),
+        network,
+    },
+};
+
+export const createFaTransfer = {
+    body: {
+        ...createTransfer.body,
+        assetMetadata: address(),
+    },
+};
+
+export const claimTransfer = {
+    body: {
+        claimer: address(),
+        code: claimCode,
+        sponsored: optional(boolean(), false),
+        network,
+    },
+};
+
+// Either the claim code or its hash
+export const refundTransfer = {
+    body: {
+        sender: address(),
+        code: optional(claimCode),
+        codeHash: optional(codeHash),
+        sponsored: optional(boolean(), false),
+        network,
+    },
+};
+
+export const transfersBySender = {
+    params: addressParams,
+    query: {
+        network,
+        status: optional(oneOf(['pending', 'expired', 'claimed', 'refunded'])),
+        ...pagination(25, 100),
+        // Where a status-filtered page resumes (`pagination.nextCursor` of the previous one)
+        cursor: optional(integer({ min: 0 })),
+    },
+};
+
+// Exactly one of address, code and codeHash
+export const subscribe = {
+    query: {
+        address: optional(address()),
+        code: optional(claimCode),
+        codeHash: optional(codeHash),
+        network: optional((value, field) => (value === 'all' ? value : networkKey(value, field))),
+    },
+};
+
+// ---- Webhooks ----
+
+export const createWebhook = {
+    body: {
+        url: string({ maxLength: 2048 }),
+        events: array(oneOf(Object.values(WEBHOOK_EVENTS)), { minItems: 1, maxItems: 10 }),
+        addresses: optional(array(address(), { maxItems: 100 }), []),
+        networks: optional(array(networkKey, { minItems: 1, maxItems: 10 })),
+        description: optional(string({ maxLength: 256 })),
+    },
+};
+
+export const webhook = {
+    params: { id: uuid },
+};
+
+export const updateWebhook = {
+    params: { id: uuid },
+    body: { active: boolean() },
+};
+
+export const webhookDeliveries = {
+    params: { id: uuid },
+    query: {
+        status: optional(oneOf(['pending', 'delivered', 'failed'])),
+        ...pagination(50, 100),
+    },
+};
+
+export const replayDelivery = {
+    params: { id: uuid, deliveryId: uuid },
+};
+
+// ---- Wallet sign-in ----
+
+export const authChallenge = {
+    body: {
+        address: address(),
+        network,
+    },
+};
+
+export const authVerify = {
+    body: {
+        address: address(),
+        network,
+        nonce: string({ pattern: /^[0-9a-f]{32}$/, format: 'the nonce from /auth/challenge' }),
+        // What the wallet signed, as returned by signMessage
+        fullMessage: string({ maxLength: 4096 }),
+        authenticator: object({ type: oneOf(['ed25519', 'single_key']) }, { passthrough: true }),
+    },
+};
+
+// ---- Email ----
+
+export const sendEmail = {
+    body: {
+        to: string({ maxLength: 254, pattern: EMAIL_PATTERN, format: 'an email address' }),
+        code: claimCode,
+        network,
+        senderName: optional(string({ maxLength: SENDER_NAME_MAX_LENGTH })),
+        note: optional(string({ maxLength: NOTE_MAX_LENGTH })),
+    },
+};
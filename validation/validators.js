@@ -0,0 +1,191 @@
+// validators.js - Composable field validators for request schemas
+//
+// A validator is `(value, field) => parsed`. It throws a ValidationError when the value is invalid;
+// `object` and `array` collect every nested problem before throwing. Fields are required unless
+// wrapped in `optional`.
+import { AccountAddress, Hex } from '@aptos-labs/ts-sdk';
+
+const U64_MAX = (1n << 64n) - 1n;
+
+export class ValidationError extends Error {
+    constructor(issues) {
+        super(issues[0].message);
+        this.name = 'ValidationError';
+        this.issues = issues;
+    }
+}
+
+const fail = (field, code, message) => {
+    throw new ValidationError([{ field, code, message: `${field} ${message}` }]);
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Helper: Wrap a validator so missing values fail with MISSING_FIELD
+const required = (check) => (value, field) => {
+    if (isMissing(value)) fail(field, 'MISSING_FIELD', 'is required');
+    return check(value, field);
+};
+
+export function optional(validator, defaultValue) {
+    return (value, field) => (isMissing(value) ? defaultValue : validator(value, field));
+}
+
+// Account or object address, normalized through AccountAddress (returns the AccountAddress)
+export function address() {
+    return required((value, field) => {
+        if (typeof value !== 'string') fail(field, 'INVALID_ADDRESS', 'must be an address string');
+        try {
+            return AccountAddress.from(value);
+        } catch (error) {
+            return fail(field, 'INVALID_ADDRESS', `is not a valid address (${error.message})`);
+        }
+    });
+}
+
+// Hex bytes (0x optional), optionally of an exact length; returns the 0x-prefixed lowercase string
+export function hex({ bytes } = {}) {
+    const lengths = bytes === undefined ? null : [].concat(bytes);
+    return required((value, field) => {
+        if (typeof value !== 'string') fail(field, 'INVALID_HEX', 'must be a hex string');
+
+        let parsed;
+        try {
+            parsed = Hex.fromHexInput(value.startsWith('0x') ? value : `0x${value}`);
+        } catch {
+            return fail(field, 'INVALID_HEX', 'is not valid hex');
+        }
+
+        const length = parsed.toUint8Array().length;
+        if (length === 0 || (lengths && !lengths.includes(length))) {
+            fail(field, 'INVALID_HEX', lengths ? `must be ${lengths.join(' or ')} bytes, got ${length}` : 'must not be empty');
+        }
+        return parsed.toString();
+    });
+}
+
+// Unsigned 64-bit integer from a digit string or a safe integer; returns a BigInt
+export function u64({ min = 0n, max = U64_MAX } = {}) {
+    return required((value, field) => {
+        const text = typeof value === 'number' && Number.isSafeInteger(value) ? String(value) : value;
+        if (typeof text !== 'string' || !/^\d+$/.test(text)) {
+            fail(field, 'INVALID_U64', 'must be a non-negative integer (as a string for large values)');
+        }
+
+        const parsed = BigInt(text);
+        if (parsed < BigInt(min) || parsed > BigInt(max)) {
+            fail(field, 'INVALID_U64', `must be between ${min} and ${max}`);
+        }
+        return parsed;
+    });
+}
+
+// Safe integer, also from query strings
+export function integer({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) {
+    return required((value, field) => {
+        const parsed = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isSafeInteger(parsed) || parsed < min || parsed > max) {
+            fail(field, 'INVALID_INTEGER', `must be an integer between ${min} and ${max}`);
+        }
+        return parsed;
+    });
+}
+
+// true/false, also 'true'/'false'/'1'/'0' from query strings
+export function boolean() {
+    return required((value, field) => {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        return fail(field, 'INVALID_BOOLEAN', 'must be true or false');
+    });
+}
+
+export function string({ minLength = 1, maxLength = 1024, pattern, format } = {}) {
+    return required((value, field) => {
+        if (typeof value !== 'string' || value.length < minLength || value.length > maxLength) {
+            fail(field, 'INVALID_STRING', `must be a string of ${minLength} to ${maxLength} characters`);
+        }
+        if (pattern && !pattern.test(value)) {
+            fail(field, 'INVALID_STRING', `must be ${format || `a string matching ${pattern}`}`);
+        }
+        return value;
+    });
+}
+
+export function oneOf(values) {
+    return required((value, field) => {
+        if (!values.includes(value)) fail(field, 'INVALID_ENUM', `must be one of: ${values.join(', ')}`);
+        return value;
+    });
+}
+
+// Any JSON value, including null (left to the handler, e.g. Move function arguments)
+export function any() {
+    return (value) => value;
+}
+
+// Wrap a parser that throws plain Errors (e.g. the sendmove parsers); its message becomes the issue
+export function custom(parse, code = 'INVALID_FIELD') {
+    return required((value, field) => {
+        try {
+            return parse(value);
+        } catch (error) {
+            return fail(field, code, `is invalid: ${error.message}`);
+        }
+    });
+}
+
+export function array(item, { minItems = 0, maxItems = 100 } = {}) {
+    return required((value, field) => {
+        if (!Array.isArray(value) || value.length < minItems || value.length > maxItems) {
+            fail(field, 'INVALID_ARRAY', `must be a list of ${minItems} to ${maxItems} items`);
+        }
+
+        const issues = [];
+        const parsed = value.map((entry, i) => {
+            try {
+                return item(entry, `${field}[${i}]`);
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                issues.push(...error.issues);
+                return undefined;
+            }
+        });
+        if (issues.length > 0) throw new ValidationError(issues);
+        return parsed;
+    });
+}
+
+/**
+ * Object with a known shape. Unknown keys are dropped unless `passthrough` is set (for payloads
+ * another parser checks in full, e.g. authenticators).
+ */
+export function object(shape, { passthrough = false } = {}) {
+    return required((value, field) => {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            fail(field, 'INVALID_OBJECT', 'must be an object');
+        }
+        const parsed = parseShape(shape, value, field);
+        return passthrough ? { ...value, ...parsed } : parsed;
+    });
+}
+
+// Helper: Validate every key of a shape, collecting all issues
+export function parseShape(shape, value, prefix) {
+    const issues = [];
+    const parsed = {};
+
+    for (const [key, validator] of Object.entries(shape)) {
+        try {
+            const result = validator(value?.[key], prefix ? `${prefix}.${key}` : key);
+            if (result !== undefined) parsed[key] = result;
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+            issues.push(...error.issues);
+        }
+    }
+
+    if (issues.length > 0) throw new ValidationError(issues);
+    return parsed;
+}
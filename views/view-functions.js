@@ -0,0 +1,256 @@
+// view-functions.js - Generic Move view calls: allowlist, cached ABIs, argument coercion and result decoding
+//
+// Arguments arrive as JSON and are checked against the function's ABI, then sent to the fullnode in
+// its JSON view format; results are decoded by the ABI's return types:
+//   bool                       true / false ('true' / 'false' accepted)
+//   u8, u16, u32               number (digit strings accepted)
+//   u64, u128, u256            digit string (safe integers accepted)
+//   address                    address string, returned in short form for special addresses
+//   vector<u8>                 hex string (an array of bytes is accepted)
+//   vector<T>                  array
+//   0x1::string::String        string
+//   0x1::option::Option<T>     value or null
+//   0x1::object::Object<T>     address of the object
+import dotenv from 'dotenv';
+import { AccountAddress, Hex } from '@aptos-labs/ts-sdk';
+import { errorBody } from '../validation/errors.js';
+
+dotenv.config();
+
+const ABI_TTL_MS = Number(process.env.VIEW_ABI_TTL_MS || 10 * 60 * 1000);
+
+// Read-only framework modules the app uses, plus sendmove (added per network)
+const DEFAULT_ALLOWED_FUNCTIONS = [
+    '0x1::coin::*',
+    '0x1::account::*',
+    '0x1::object::*',
+    '0x1::fungible_asset::*',
+    '0x1::primary_fungible_store::*',
+];
+
+const UINT_BITS = { u8: 8, u16: 16, u32: 32, u64: 64, u128: 128, u256: 256 };
+
+const OPTION = '0x1::option::Option';
+const OBJECT = '0x1::object::Object';
+const STRING = '0x1::string::String';
+
+// Helper: Normalize "0x...::module::function" (or "0x...::module::*") so addresses compare equal
+const normalizeFunctionId = (functionId) => {
+    const [address, moduleName, functionName] = functionId.split('::');
+    return `${AccountAddress.from(address).toString()}::${moduleName}::${functionName}`;
+};
+
+const getAllowedFunctions = (moduleAddress) => {
+    const configured = (process.env.VIEW_ALLOWED_FUNCTIONS || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    const entries = configured.length > 0 ? configured : [...DEFAULT_ALLOWED_FUNCTIONS, `${moduleAddress}::sendmove::*`];
+    return entries.map(normalizeFunctionId);
+};
+
+const isFunctionAllowed = (functionId, allowedFunctions) => {
+    const [address, moduleName] = functionId.split('::');
+    return allowedFunctions.includes(functionId) || allowedFunctions.includes(`${address}::${moduleName}::*`);
+};
+
+// Module ABIs per network, refreshed after VIEW_ABI_TTL_MS so upgrades are picked up
+const abiCache = new Map();
+
+const getModuleAbi = async (aptos, { networkKey, address, moduleName }) => {
+    const cacheKey = `${networkKey}:${address}::${moduleName}`;
+    const cached = abiCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.abi;
+    }
+
+    const module = await aptos.getAccountModule({ accountAddress: address, moduleName });
+    abiCache.set(cacheKey, { abi: module.abi, expiresAt: Date.now() + ABI_TTL_MS });
+    return module.abi;
+};
+
+// Helper: Split "0x1::option::Option<vector<u8>>" into its base and top-level type arguments
+const parseType = (type) => {
+    const open = type.indexOf('<');
+    if (open === -1) {
+        return { base: normalizeStructName(type.trim()), args: [] };
+    }
+
+    const inner = type.slice(open + 1, type.lastIndexOf('>'));
+    const args = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        if (inner[i] === '<') depth += 1;
+        if (inner[i] === '>') depth -= 1;
+        if (inner[i] === ',' && depth === 0) {
+            args.push(inner.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    args.push(inner.slice(start).trim());
+
+    return { base: normalizeStructName(type.slice(0, open).trim()), args };
+};
+
+// Helper: ABI types print addresses in short or long form depending on the node
+const normalizeStructName = (name) => {
+    const [address, ...rest] = name.split('::');
+    return rest.length > 0 ? [AccountAddress.from(address).toString(), ...rest].join('::') : name;
+};
+
+// Helper: Replace the ABI's generic parameters (T0, T1, ...) with the caller's type arguments
+const substituteGenerics = (type, typeArguments) =>
+    type.replace(/(?<!::)\bT(\d+)\b/g, (match, index) => typeArguments[Number(index)] ?? match);
+
+const parseUint = (type, value) => {
+    const text = typeof value === 'number' && Number.isSafeInteger(value) ? String(value) : value;
+    if (typeof text !== 'string' || !/^\d+$/.test(text)) {
+        throw new Error(`expected ${type} as a non-negative integer (a string for large values)`);
+    }
+
+    const parsed = BigInt(text);
+    if (parsed >= 1n << BigInt(UINT_BITS[type])) {
+        throw new Error(`${text} does not fit in ${type}`);
+    }
+    return UINT_BITS[type] <= 32 ? Number(parsed) : parsed.toString();
+};
+
+const parseAddressValue = (value) => {
+    if (typeof value !== 'string') throw new Error('expected an address string');
+    return AccountAddress.from(value).toString();
+};
+
+/**
+ * Coerce a JSON value to the fullnode's JSON encoding of a Move type. Throws with a client-facing message.
+ */
+export function coerceArgument(type, value) {
+    const { base, args } = parseType(type);
+
+    if (base === 'bool') {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        throw new Error('expected true or false');
+    }
+    if (UINT_BITS[base]) return parseUint(base, value);
+    if (base === 'address') return parseAddressValue(value);
+
+    if (base === 'vector') {
+        if (args[0] === 'u8') {
+            if (Array.isArray(value)) {
+                return Hex.fromHexInput(Uint8Array.from(value.map((byte) => parseUint('u8', byte)))).toString();
+            }
+            if (typeof value !== 'string') throw new Error('expected bytes as a hex string');
+            return Hex.fromHexInput(value.startsWith('0x') ? value : `0x${value}`).toString();
+        }
+        if (!Array.isArray(value)) throw new Error(`expected an array for ${type}`);
+        return value.map((item, i) => {
+            try {
+                return coerceArgument(args[0], item);
+            } catch (error) {
+                throw new Error(`[${i}]: ${error.message}`);
+            }
+        });
+    }
+
+    if (base === STRING) {
+        if (typeof value !== 'string') throw new Error('expected a string');
+        return value;
+    }
+    if (base === OPTION) {
+        // null for none, the value (or the fullnode's { vec: [...] } form) for some
+        if (value === null || value === undefined) return { vec: [] };
+        if (typeof value === 'object' && Array.isArray(value.vec)) {
+            return { vec: value.vec.slice(0, 1).map((item) => coerceArgument(args[0], item)) };
+        }
+        return { vec: [coerceArgument(args[0], value)] };
+    }
+    if (base === OBJECT) {
+        return parseAddressValue(typeof value === 'object' && value !== null ? value.inner : value);
+    }
+
+    if (/^T\d+$/.test(base)) throw new Error(`generic type ${base} needs a type argument`);
+    throw new Error(`${type} arguments are not supported`);
+}
+
+/**
+ * Decode a fullnode JSON view result by its Move type (see the table at the top of this file).
+ * Other structs are returned as the fullnode renders them.
+ */
+export function decodeResult(type, value) {
+    const { base, args } = parseType(type);
+
+    if (UINT_BITS[base]) return UINT_BITS[base] <= 32 ? Number(value) : String(value);
+    if (base === 'address') return AccountAddress.from(value).toString();
+    if (base === 'vector' && args[0] !== 'u8' && Array.isArray(value)) {
+        return value.map((item) => decodeResult(args[0], item));
+    }
+    if (base === OPTION) {
+        const some = value?.vec?.[0];
+        return some === undefined ? null : decodeResult(args[0], some);
+    }
+    if (base === OBJECT) return AccountAddress.from(value?.inner ?? value).toString();
+    return value;
+}
+
+/**
+ * Check a view call against the allowlist and the function's ABI and build the fullnode payload.
+ * Returns { payload, returnTypes } or { rejection: { status, body } }.
+ */
+export async function prepareViewCall(aptos, { networkKey, moduleAddress, functionId, typeArguments, functionArguments }) {
+    const normalizedId = normalizeFunctionId(functionId);
+    if (!isFunctionAllowed(normalizedId, getAllowedFunctions(moduleAddress))) {
+        return { rejection: { status: 403, body: errorBody('VIEW_NOT_ALLOWED', `${normalizedId} is not on the view allowlist`) } };
+    }
+
+    const [address, moduleName, functionName] = normalizedId.split('::');
+    let abi;
+    try {
+        abi = await getModuleAbi(aptos, { networkKey, address, moduleName });
+    } catch (error) {
+        if (error.status === 404) {
+            return { rejection: { status: 404, body: errorBody('FUNCTION_NOT_FOUND', `Module ${address}::${moduleName} not found on ${networkKey}`) } };
+        }
+        throw error;
+    }
+
+    const fn = abi?.exposed_functions?.find((entry) => entry.name === functionName);
+    if (!fn) {
+        return { rejection: { status: 404, body: errorBody('FUNCTION_NOT_FOUND', `Function ${normalizedId} not found on ${networkKey}`) } };
+    }
+    if (!fn.is_view) {
+        return { rejection: { status: 400, body: errorBody('NOT_A_VIEW_FUNCTION', `${normalizedId} is not a view function`) } };
+    }
+
+    const issue = (field, message) => ({ field, code: 'INVALID_ARGUMENT', message: `${field} ${message}` });
+    const invalid = (fields) => ({
+        rejection: { status: 400, body: errorBody('INVALID_REQUEST', fields[0].message, { fields }) },
+    });
+
+    if (typeArguments.length !== fn.generic_type_params.length) {
+        return invalid([issue('body.typeArguments', `must have ${fn.generic_type_params.length} type arguments, got ${typeArguments.length}`)]);
+    }
+    if (functionArguments.length !== fn.params.length) {
+        return invalid([issue('body.functionArguments', `must have ${fn.params.length} arguments (${fn.params.join(', ')}), got ${functionArguments.length}`)]);
+    }
+
+    const fields = [];
+    const coerced = fn.params.map((param, i) => {
+        const type = substituteGenerics(param, typeArguments);
+        try {
+            return coerceArgument(type, functionArguments[i]);
+        } catch (error) {
+            fields.push(issue(`body.functionArguments[${i}]`, `(${type}) is invalid: ${error.message}`));
+            return undefined;
+        }
+    });
+    if (fields.length > 0) {
+        return invalid(fields);
+    }
+
+    return {
+        payload: { function: normalizedId, typeArguments, functionArguments: coerced },
+        returnTypes: fn.return.map((type) => substituteGenerics(type, typeArguments)),
+    };
+}
@@ -0,0 +1,455 @@
+// dispatcher.js - Match sendmove and account events to webhooks, then sign and deliver them with retries
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import dotenv from 'dotenv';
+import fetch from 'node-fetch';
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { CREATED_EVENTS, CLAIMED_EVENTS, SENDMOVE_EVENTS, assetMetadataOf, normalizeEventCode } from '../sendmove/events.js';
+import { onSendmoveEvents } from '../indexer/sendmove-indexer.js';
+import { subscribe } from '../realtime/subscriptions.js';
+import {
+    insertWebhook,
+    listWebhooks,
+    deleteWebhook,
+    setWebhookActive,
+    enqueueDelivery,
+    listDueDeliveries,
+    recordDeliveryAttempt,
+    getDelivery,
+    requeueDelivery,
+} from './store.js';
+
+dotenv.config();
+
+export const WEBHOOK_EVENTS = {
+    transferCreated: 'transfer.created',
+    transferClaimed: 'transfer.claimed',
+    transferRefunded: 'transfer.refunded',
+    balanceChanged: 'balance.changed',
+};
+
+const WORKER_INTERVAL_MS = Number(process.env.WEBHOOK_WORKER_INTERVAL_MS || 5000);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 10000);
+const RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS || 60 * 60 * 1000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+const BATCH_SIZE = 20;
+
+// Notifications from realtime/subscriptions.js that mean an account balance moved
+const BALANCE_NOTIFICATIONS = [
+    'transfer_received',
+    'transfer_sent',
+    'faucet_received',
+    'sendmove_created',
+    'sendmove_claimed',
+    'sendmove_refunded',
+    'balance_increased',
+    'balance_decreased',
+];
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges; IPv4-mapped IPv6 is checked as IPv4
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+// Helper: Whether an IP address is not publicly routable
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Helper: Whether a URL hostname is a private IP literal or a local name (DNS names are checked on delivery)
+const isPrivateHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(host)) return isPrivateAddress(host);
+    return host === 'localhost' || host.endsWith('.localhost');
+};
+
+// Helper: dns.lookup that refuses private addresses, so the connection goes to the address that was checked
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to private address ${blocked.address}`));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const deliveryAgents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup }),
+};
+
+// Context set by startWebhookDispatcher (clients and module address for balance polling)
+let dispatcher = null;
+// The running delivery pass, shared by concurrent callers
+let processing = null;
+// Removes the sendmove indexer listener once attached
+let stopListening = null;
+// `${networkKey}:${address}` -> unsubscribe, for webhooks listening to balance changes
+const balanceSubscriptions = new Map();
+
+// Helper: Canonical address for filter matching
+const normalizeAddress = (value) => AccountAddress.from(value).toString();
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`, hex encoded. Receivers recompute it with their secret.
+ */
+export function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper: Delay before the next attempt, doubling each time
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Validate and store a webhook. Returns it with its signing secret (only shown here).
+ * Throws an Error with a user-facing message on invalid input.
+ */
+export function registerWebhook({ url, events, addresses = [], networks, description, ownerId = null }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('url must be an absolute http(s) URL');
+    }
+    if (!ALLOW_PRIVATE_URLS && isPrivateHost(parsed.hostname)) {
+        throw new Error('url must not point to a private or loopback address');
+    }
+
+    const knownEvents = Object.values(WEBHOOK_EVENTS);
+    if (!Array.isArray(events) || events.length === 0 || events.some((event) => !knownEvents.includes(event))) {
+        throw new Error(`events must be a non-empty list of: ${knownEvents.join(', ')}`);
+    }
+
+    if (!Array.isArray(addresses)) {
+        throw new Error('addresses must be a list of account addresses');
+    }
+    let normalizedAddresses;
+    try {
+        normalizedAddresses = [...new Set(addresses.map(normalizeAddress))];
+    } catch {
+        throw new Error('addresses must be a list of account addresses');
+    }
+    if (events.includes(WEBHOOK_EVENTS.balanceChanged) && normalizedAddresses.length === 0) {
+        throw new Error(`${WEBHOOK_EVENTS.balanceChanged} requires at least one address`);
+    }
+
+    const webhook = insertWebhook({
+        id: crypto.randomUUID(),
+        url: parsed.toString(),
+        secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        events: [...new Set(events)],
+        addresses: normalizedAddresses,
+        networks,
+        description,
+        ownerId,
+        createdAt: Date.now(),
+    });
+
+    refreshBalanceSubscriptions();
+    return webhook;
+}
+
+export function removeWebhook(id) {
+    const removed = deleteWebhook(id);
+    if (removed) {
+        refreshBalanceSubscriptions();
+    }
+    return removed;
+}
+
+/**
+ * Pause or resume a webhook. Paused webhooks get no new events and their queued deliveries are held.
+ */
+export function updateWebhookActive(id, active) {
+    const updated = setWebhookActive(id, active);
+    if (updated) {
+        refreshBalanceSubscriptions();
+        if (active) {
+            processDueDeliveries();
+        }
+    }
+    return updated;
+}
+
+// Helper: Queue an event for every active webhook whose filters match.
+// Events that happened before a webhook was registered (e.g. an index backfill) are not sent to it.
+const dispatchEvent = ({ eventId, type, networkKey, addresses, occurredAt, data }) => {
+    let queued = 0;
+
+    for (const webhook of listWebhooks({ activeOnly: true })) {
+        if (!webhook.events.includes(type) || !webhook.networks.includes(networkKey)) continue;
+        if (occurredAt && occurredAt < webhook.createdAt) continue;
+        if (webhook.addresses.length > 0 && !addresses.some((address) => webhook.addresses.includes(address))) continue;
+
+        const delivered = enqueueDelivery({
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            eventId,
+            eventType: type,
+            network: networkKey,
+            payload: { id: eventId, type, network: networkKey, createdAt: new Date().toISOString(), data },
+            createdAt: Date.now(),
+        });
+        if (delivered) queued += 1;
+    }
+
+    return queued;
+};
+
+/**
+ * Turn newly indexed sendmove events into transfer.* webhook events.
+ */
+export function handleSendmoveEvents(networkKey, events, timestamps = new Map()) {
+    let queued = 0;
+
+    for (const event of events) {
+        const { data = {} } = event;
+        const created = CREATED_EVENTS.includes(event.name);
+        const claimed = CLAIMED_EVENTS.includes(event.name);
+        const isFa = [SENDMOVE_EVENTS.faCreated, SENDMOVE_EVENTS.faClaimed, SENDMOVE_EVENTS.faRefunded].includes(event.name);
+        const type = created
+            ? WEBHOOK_EVENTS.transferCreated
+            : claimed ? WEBHOOK_EVENTS.transferClaimed : WEBHOOK_EVENTS.transferRefunded;
+
+        const parties = [data.sender, data.claimer, data.recipient].filter(Boolean);
+        const occurredAt = timestamps.get(String(event.transaction_version));
+
+        queued += dispatchEvent({
+            eventId: `${networkKey}:${event.transaction_version}:${event.event_index}`,
+            type,
+            networkKey,
+            addresses: parties.map(normalizeAddress),
+            occurredAt: occurredAt ? occurredAt * 1000 : null,
+            data: {
+                code: normalizeEventCode(data.code),
+                type: isFa ? 'fa' : 'move',
+                sender: data.sender ?? null,
+                claimer: data.claimer ?? data.recipient ?? null,
+                amount: data.amount !== undefined ? String(data.amount) : null,
+                assetMetadata: isFa ? assetMetadataOf(data) : null,
+                expiration: data.expiration !== undefined ? String(data.expiration) : null,
+                transactionVersion: String(event.transaction_version),
+                eventIndex: Number(event.event_index),
+                timestamp: occurredAt ? new Date(occurredAt * 1000).toISOString() : null,
+            },
+        });
+    }
+
+    if (queued > 0) {
+        processDueDeliveries();
+    }
+    return queued;
+}
+
+// Helper: Balance notification from a subscription -> balance.changed webhook event
+const handleBalanceNotification = (notification) => {
+    if (!BALANCE_NOTIFICATIONS.includes(notification.type)) return;
+
+    const queued = dispatchEvent({
+        // Balance polls have no transaction; the poll time keeps a balance that returns to an earlier value distinct
+        eventId: `${notification.network}:${notification.hash || `balance:${notification.data?.current}:${Date.parse(notification.timestamp)}`}:${notification.address}`,
+        type: WEBHOOK_EVENTS.balanceChanged,
+        networkKey: notification.network,
+        addresses: [notification.address],
+        occurredAt: notification.timestamp ? Date.parse(notification.timestamp) : null,
+        data: {
+            address: notification.address,
+            reason: notification.type,
+            message: notification.message,
+            transactionHash: notification.hash ?? null,
+            transactionVersion: notification.version ?? null,
+            amounts: notification.data?.amounts ?? null,
+            balance: notification.hash ? null : notification.data,
+            timestamp: notification.timestamp,
+        },
+    });
+
+    if (queued > 0) {
+        processDueDeliveries();
+    }
+};
+
+// Keep exactly one address subscription per (network, address) that some webhook wants balance changes for
+function refreshBalanceSubscriptions() {
+    if (!dispatcher) return;
+
+    const wanted = new Set();
+    for (const webhook of listWebhooks({ activeOnly: true })) {
+        if (!webhook.events.includes(WEBHOOK_EVENTS.balanceChanged)) continue;
+        for (const networkKey of webhook.networks) {
+            for (const address of webhook.addresses) {
+                wanted.add(`${networkKey}:${address}`);
+            }
+        }
+    }
+
+    for (const [key, unsubscribe] of balanceSubscriptions) {
+        if (!wanted.has(key)) {
+            unsubscribe();
+            balanceSubscriptions.delete(key);
+        }
+    }
+
+    for (const key of wanted) {
+        if (balanceSubscriptions.has(key)) continue;
+
+        const [networkKey, address] = key.split(':');
+        const networkConfig = dispatcher.networkConfigs[networkKey];
+        if (!networkConfig) continue;
+
+        const unsubscribe = subscribe(dispatcher.getAptosClient(networkKey), {
+            networkKey,
+            moduleAddress: networkConfig.moduleAddress,
+            useIndexer: Boolean(networkConfig.indexerUrl),
+            faucetAccounts: networkConfig.faucetAccounts,
+            address,
+        }, handleBalanceNotification);
+
+        if (unsubscribe) {
+            balanceSubscriptions.set(key, unsubscribe);
+        } else {
+            console.warn(`[Webhooks] subscription limit reached, not watching ${key}`);
+        }
+    }
+}
+
+// Helper: POST one delivery and record the outcome
+const attemptDelivery = async (delivery, webhook) => {
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let statusCode = null;
+    let error = null;
+    try {
+        // Registration only sees the hostname; the address it resolves to is checked here, on every attempt
+        const url = new URL(webhook.url);
+        if (!ALLOW_PRIVATE_URLS && isPrivateHost(url.hostname)) {
+            throw new Error('url points to a private or loopback address');
+        }
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Column-Webhooks/1.0',
+                'X-Column-Event': delivery.eventType,
+                'X-Column-Delivery': delivery.id,
+                'X-Column-Timestamp': timestamp,
+                'X-Column-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+            },
+            body,
+            redirect: 'manual',
+            agent: ALLOW_PRIVATE_URLS ? undefined : deliveryAgents[url.protocol],
+            signal: AbortSignal.timeout(TIMEOUT_MS),
+        });
+        statusCode = response.status;
+        if (response.ok) {
+            return recordDeliveryAttempt(delivery.id, {
+                status: 'delivered',
+                attempts,
+                nextAttemptAt: Date.now(),
+                statusCode,
+                deliveredAt: Date.now(),
+            });
+        }
+        error = `HTTP ${response.status}`;
+    } catch (fetchError) {
+        error = fetchError.message;
+    }
+
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    recordDeliveryAttempt(delivery.id, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        nextAttemptAt: Date.now() + (exhausted ? 0 : retryDelay(attempts)),
+        statusCode,
+        error,
+    });
+};
+
+// Helper: Send due deliveries batch by batch until none are left; returns how many were attempted
+const drainDeliveries = async () => {
+    let attempted = 0;
+    try {
+        let due;
+        do {
+            due = listDueDeliveries(Date.now(), BATCH_SIZE);
+            const webhooks = new Map(listWebhooks({ activeOnly: true }).map((webhook) => [webhook.id, webhook]));
+            const sendable = due.filter((delivery) => webhooks.has(delivery.webhookId));
+            await Promise.all(sendable.map((delivery) => attemptDelivery(delivery, webhooks.get(delivery.webhookId))));
+            attempted += sendable.length;
+        } while (due.length === BATCH_SIZE);
+    } catch (error) {
+        console.error('[Webhooks] delivery run failed:', error.message);
+    }
+    return attempted;
+};
+
+/**
+ * Send every delivery that is due, one batch at a time, and resolve to the number attempted.
+ * Concurrent calls share the running pass.
+ */
+export function processDueDeliveries() {
+    if (!processing) {
+        processing = drainDeliveries().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+/**
+ * Re-send a delivery (delivered or failed) with a fresh retry budget.
+ */
+export function replayDelivery(webhookId, deliveryId) {
+    if (!requeueDelivery(webhookId, deliveryId, Date.now())) {
+        return null;
+    }
+    processDueDeliveries();
+    return getDelivery(webhookId, deliveryId);
+}
+
+/**
+ * Queue transfer.* deliveries for every page the sendmove indexer commits. Needs no timer, so serverless
+ * deployments call it too; their queue is drained by GET /cron/webhooks instead of the retry worker.
+ */
+export function listenForSendmoveEvents() {
+    if (!stopListening) {
+        stopListening = onSendmoveEvents(handleSendmoveEvents);
+    }
+}
+
+/**
+ * Start the retry worker and feed it from the sendmove indexer and balance subscriptions.
+ * Only used by the long-running server.
+ */
+export function startWebhookDispatcher({ getAptosClient, networkConfigs }) {
+    dispatcher = { getAptosClient, networkConfigs };
+
+    listenForSendmoveEvents();
+    refreshBalanceSubscriptions();
+
+    processDueDeliveries();
+    return setInterval(processDueDeliveries, WORKER_INTERVAL_MS);
+}
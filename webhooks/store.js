@@ -0,0 +1,191 @@
+// store.js - Webhook registrations and delivery log, kept in the local SQLite database
+import { getIndexStore } from '../indexer/store.js';
+
+let ready = false;
+
+// Helper: Shared database with the webhook tables created on first use
+const getDb = () => {
+    const db = getIndexStore();
+    if (ready) {
+        return db;
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id TEXT PRIMARY KEY,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            events TEXT NOT NULL,
+            addresses TEXT NOT NULL,
+            networks TEXT NOT NULL,
+            description TEXT,
+            active INTEGER NOT NULL DEFAULT 1,
+            created_at INTEGER NOT NULL,
+            owner_id TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id TEXT PRIMARY KEY,
+            webhook_id TEXT NOT NULL,
+            event_id TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            network TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at INTEGER NOT NULL,
+            last_status_code INTEGER,
+            last_error TEXT,
+            created_at INTEGER NOT NULL,
+            delivered_at INTEGER,
+            UNIQUE (webhook_id, event_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+    `);
+
+    // Databases created before webhooks had owners
+    if (!db.prepare('PRAGMA table_info(webhooks)').all().some((column) => column.name === 'owner_id')) {
+        db.exec('ALTER TABLE webhooks ADD COLUMN owner_id TEXT');
+    }
+
+    ready = true;
+    return db;
+};
+
+const toWebhook = (row) => row && {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    addresses: JSON.parse(row.addresses),
+    networks: JSON.parse(row.networks),
+    description: row.description,
+    active: Boolean(row.active),
+    ownerId: row.owner_id,
+    createdAt: row.created_at,
+};
+
+const toDelivery = (row) => row && {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    network: row.network,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+};
+
+export function insertWebhook(webhook) {
+    getDb().prepare(`
+        INSERT INTO webhooks (id, url, secret, events, addresses, networks, description, active, created_at, owner_id)
+        VALUES (@id, @url, @secret, @events, @addresses, @networks, @description, 1, @createdAt, @ownerId)
+    `).run({
+        ...webhook,
+        events: JSON.stringify(webhook.events),
+        addresses: JSON.stringify(webhook.addresses),
+        networks: JSON.stringify(webhook.networks),
+        description: webhook.description ?? null,
+        ownerId: webhook.ownerId ?? null,
+    });
+    return getWebhook(webhook.id);
+}
+
+// Helper: SQL condition and parameters limiting rows to an owner ({ ownerId, all }); no owner means no limit
+const ownerFilter = (owner) => (owner && !owner.all ? { sql: ' AND owner_id IS ?', params: [owner.ownerId] } : { sql: '', params: [] });
+
+/**
+ * Webhook by id; with `owner`, only if that client created it.
+ */
+export function getWebhook(id, owner) {
+    const filter = ownerFilter(owner);
+    return toWebhook(getDb().prepare(`SELECT * FROM webhooks WHERE id = ?${filter.sql}`).get(id, ...filter.params));
+}
+
+export function listWebhooks({ activeOnly = false, owner } = {}) {
+    const filter = ownerFilter(owner);
+    return getDb()
+        .prepare(`SELECT * FROM webhooks WHERE ${activeOnly ? 'active = 1' : '1 = 1'}${filter.sql} ORDER BY created_at`)
+        .all(...filter.params)
+        .map(toWebhook);
+}
+
+export function setWebhookActive(id, active) {
+    return getDb().prepare('UPDATE webhooks SET active = ? WHERE id = ?').run(active ? 1 : 0, id).changes > 0;
+}
+
+export function deleteWebhook(id) {
+    const db = getDb();
+    return db.transaction(() => {
+        db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+        return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    })();
+}
+
+/**
+ * Queue a delivery. Returns false when this event was already queued for the webhook.
+ */
+export function enqueueDelivery(delivery) {
+    const result = getDb().prepare(`
+        INSERT OR IGNORE INTO webhook_deliveries
+            (id, webhook_id, event_id, event_type, network, payload, status, attempts, next_attempt_at, created_at)
+        VALUES (@id, @webhookId, @eventId, @eventType, @network, @payload, 'pending', 0, @createdAt, @createdAt)
+    `).run({ ...delivery, payload: JSON.stringify(delivery.payload) });
+    return result.changes > 0;
+}
+
+/**
+ * Pending deliveries that are due, for active webhooks only: a paused webhook's deliveries wait until it resumes.
+ */
+export function listDueDeliveries(now, limit) {
+    return getDb().prepare(`
+        SELECT d.* FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id AND w.active = 1
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+        ORDER BY d.next_attempt_at
+        LIMIT ?
+    `).all(now, limit).map(toDelivery);
+}
+
+export function recordDeliveryAttempt(id, { status, attempts, nextAttemptAt, statusCode, error, deliveredAt }) {
+    getDb().prepare(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?, delivered_at = ?
+        WHERE id = ?
+    `).run(status, attempts, nextAttemptAt, statusCode ?? null, error ?? null, deliveredAt ?? null, id);
+}
+
+export function getDelivery(webhookId, id) {
+    return toDelivery(getDb()
+        .prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND id = ?')
+        .get(webhookId, id));
+}
+
+export function listDeliveries(webhookId, { status, offset = 0, limit = 50 } = {}) {
+    const rows = status
+        ? getDb().prepare(`
+            SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND status = ?
+            ORDER BY created_at DESC LIMIT ? OFFSET ?
+        `).all(webhookId, status, limit, offset)
+        : getDb().prepare(`
+            SELECT * FROM webhook_deliveries WHERE webhook_id = ?
+            ORDER BY created_at DESC LIMIT ? OFFSET ?
+        `).all(webhookId, limit, offset);
+    return rows.map(toDelivery);
+}
+
+// Put a delivery back in the queue with a fresh retry budget
+export function requeueDelivery(webhookId, id, now) {
+    return getDb().prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL
+        WHERE webhook_id = ? AND id = ?
+    `).run(now, webhookId, id).changes > 0;
+}